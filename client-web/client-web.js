@@ -3,14 +3,22 @@
 
 const express = require('express');
 const http = require('http');
+const https = require('https');
+const tls = require('tls');
 const socketIo = require('socket.io');
 const path = require('path');
 const net = require('net');
 const dgram = require('dgram'); // 添加UDP支持
+const dns = require('dns');
 const fs = require('fs');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Duplex } = require('stream');
 
 // 配置文件管理  
 const CONFIG_FILE = path.join(__dirname, 'config.json');
+const ADMINS_FILE = path.join(__dirname, 'admins.json');
+const AUDIT_FILE = path.join(__dirname, 'audit.log');
 
 // 加载配置
 function loadConfig() {
@@ -28,7 +36,18 @@ function loadConfig() {
         server: {
             host: "159.75.133.177",
             port: 9000,
-            webPort: 3001
+            webPort: 3001,
+            webHost: "127.0.0.1",
+            apiPort: 3000,
+            clientId: "default",
+            secret: "",
+            token: "",
+            tls: {
+                enabled: false,
+                api: false,
+                fingerprint: "",
+                ca: ""
+            }
         },
         portMappings: [
             {
@@ -47,7 +66,11 @@ function loadConfig() {
             minIdleConnections: 1,
             maxTotalConnections: 100,
             checkInterval: 5000,
-            reconnectDelay: 2000
+            reconnectDelay: 2000,
+            heartbeatInterval: 20000
+        },
+        security: {
+            allowedLocalHosts: ["127.0.0.1", "localhost", "::1"]
         }
     };
 }
@@ -63,23 +86,353 @@ function saveConfig(config) {
     }
 }
 
+// ==================== 配置校验 ====================
+const MAX_CONFIG_INTEGER = Number.MAX_SAFE_INTEGER;
+const MAPPING_PROTOCOLS = ['tcp', 'udp', 'both'];
+const PROXY_PROTOCOL_VERSIONS = ['v1', 'v2'];
+const COMPRESSION_ALGORITHMS = ['deflate', 'brotli'];
+const BANDWIDTH_DIRECTIONS = ['upstream', 'downstream'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// 映射的带宽限制: null，或各方向为不小于0的整数（字节/秒）的对象
+function isValidBandwidth(bandwidth) {
+    if (bandwidth === undefined || bandwidth === null) return true;
+    if (!isPlainObject(bandwidth)) return false;
+    return BANDWIDTH_DIRECTIONS.every(direction => bandwidth[direction] === undefined ||
+        (Number.isInteger(bandwidth[direction]) && bandwidth[direction] >= 0));
+}
+
+// 映射的连接池覆盖值: null 表示使用 connection 中的全局设置
+function isValidPoolLimit(value, min) {
+    return value === undefined || value === null || (Number.isInteger(value) && value >= min);
+}
+
+// 校验映射的连接池覆盖值，返回错误信息，通过时返回 null
+function checkMappingPoolLimits(minIdleConnections, maxTotalConnections) {
+    if (!isValidPoolLimit(minIdleConnections, 0)) {
+        return 'minIdleConnections 必须是 null 或不小于0的整数';
+    }
+    if (!isValidPoolLimit(maxTotalConnections, 1)) {
+        return 'maxTotalConnections 必须是 null 或不小于1的整数';
+    }
+    if (Number.isInteger(minIdleConnections) && Number.isInteger(maxTotalConnections) && minIdleConnections > maxTotalConnections) {
+        return 'minIdleConnections 不能大于 maxTotalConnections';
+    }
+    return null;
+}
+
+// 校验完整配置，返回字段级错误列表 [{ field, message }]，为空表示通过
+function validateConfig(candidate) {
+    if (!isPlainObject(candidate)) {
+        return [{ field: '', message: '配置必须是JSON对象' }];
+    }
+    
+    const errors = [];
+    const addError = (field, message) => errors.push({ field, message });
+    
+    const expectObject = (field, value, required = false) => {
+        if (value === undefined) {
+            if (required) addError(field, '不能为空');
+            return false;
+        }
+        if (!isPlainObject(value)) {
+            addError(field, '必须是对象');
+            return false;
+        }
+        return true;
+    };
+    const expectBoolean = (field, value) => {
+        if (value !== undefined && typeof value !== 'boolean') {
+            addError(field, '必须是布尔值');
+        }
+    };
+    const expectString = (field, value, required = false) => {
+        if (value === undefined || value === null) {
+            if (required) addError(field, '不能为空');
+        } else if (typeof value !== 'string') {
+            addError(field, '必须是字符串');
+        } else if (required && value.trim() === '') {
+            addError(field, '不能为空');
+        }
+    };
+    const expectInteger = (field, value, min, max, required = false) => {
+        if (value === undefined) {
+            if (required) addError(field, '不能为空');
+            return false;
+        }
+        if (!Number.isInteger(value) || value < min || value > max) {
+            addError(field, max === MAX_CONFIG_INTEGER ? `必须是不小于${min}的整数` : `必须是${min}-${max}之间的整数`);
+            return false;
+        }
+        return true;
+    };
+    // 映射的公网端口可以为空，表示由服务器分配
+    const expectOptionalPort = (field, value) => {
+        if (value !== null) {
+            expectInteger(field, value, 1, 65535);
+        }
+    };
+    
+    if (expectObject('server', candidate.server, true)) {
+        const server = candidate.server;
+        expectString('server.host', server.host, true);
+        if (typeof server.host === 'string' && server.host.trim().startsWith('[') && !net.isIPv6(stripIpv6Brackets(server.host))) {
+            addError('server.host', '方括号内必须是IPv6地址');
+        }
+        expectInteger('server.port', server.port, 1, 65535, true);
+        expectInteger('server.webPort', server.webPort, 1, 65535, true);
+        expectInteger('server.apiPort', server.apiPort, 1, 65535);
+        expectString('server.webHost', server.webHost);
+        if (typeof server.webHost === 'string' && server.webHost !== 'localhost' && !net.isIP(server.webHost)) {
+            addError('server.webHost', '必须是IP地址或 localhost');
+        }
+        expectString('server.clientId', server.clientId);
+        expectString('server.secret', server.secret);
+        expectString('server.token', server.token);
+        if (expectObject('server.tls', server.tls)) {
+            expectBoolean('server.tls.enabled', server.tls.enabled);
+            expectBoolean('server.tls.api', server.tls.api);
+            expectString('server.tls.fingerprint', server.tls.fingerprint);
+            expectString('server.tls.ca', server.tls.ca);
+        }
+    }
+    
+    let securityValid = true;
+    if (expectObject('security', candidate.security)) {
+        const allowedLocalHosts = candidate.security.allowedLocalHosts;
+        if (allowedLocalHosts !== undefined) {
+            if (!Array.isArray(allowedLocalHosts)) {
+                addError('security.allowedLocalHosts', '必须是数组');
+                securityValid = false;
+            } else {
+                allowedLocalHosts.forEach((host, index) => {
+                    if (typeof host !== 'string' || host.trim() === '') {
+                        addError(`security.allowedLocalHosts[${index}]`, '必须是非空字符串');
+                        securityValid = false;
+                    }
+                });
+            }
+        }
+    } else if (candidate.security !== undefined) {
+        securityValid = false;
+    }
+    
+    if (!Array.isArray(candidate.portMappings)) {
+        addError('portMappings', '必须是数组');
+    } else {
+        const mappingIds = new Map();
+        candidate.portMappings.forEach((mapping, index) => {
+            const field = `portMappings[${index}]`;
+            if (!expectObject(field, mapping, true)) return;
+            
+            expectString(`${field}.id`, mapping.id, true);
+            if (typeof mapping.id === 'string') {
+                if (mappingIds.has(mapping.id)) {
+                    addError(`${field}.id`, `与 ${mappingIds.get(mapping.id)} 的ID重复`);
+                } else {
+                    mappingIds.set(mapping.id, field);
+                }
+            }
+            expectString(`${field}.name`, mapping.name, true);
+            expectString(`${field}.localHost`, mapping.localHost, true);
+            if (typeof mapping.localHost === 'string' && mapping.localHost.trim().startsWith('[')) {
+                addError(`${field}.localHost`, 'IPv6地址不需要方括号，例如 ::1');
+            }
+            if (securityValid && typeof mapping.localHost === 'string' && mapping.localHost.trim() !== ''
+                && !isLocalHostAllowed(mapping.localHost, candidate.security)) {
+                addError(`${field}.localHost`, `${mapping.localHost} 不在 security.allowedLocalHosts 中`);
+            }
+            expectInteger(`${field}.localPort`, mapping.localPort, 1, 65535, true);
+            expectOptionalPort(`${field}.publicPort`, mapping.publicPort);
+            expectOptionalPort(`${field}.preferredPort`, mapping.preferredPort);
+            if (mapping.protocol !== undefined && !MAPPING_PROTOCOLS.includes(mapping.protocol)) {
+                addError(`${field}.protocol`, `必须是 ${MAPPING_PROTOCOLS.join('、')} 之一`);
+            }
+            expectBoolean(`${field}.enabled`, mapping.enabled);
+            expectBoolean(`${field}.autoReconnect`, mapping.autoReconnect);
+            expectBoolean(`${field}.minecraft`, mapping.minecraft);
+            expectString(`${field}.minecraftHostname`, mapping.minecraftHostname);
+            expectBoolean(`${field}.multiplex`, mapping.multiplex);
+            expectBoolean(`${field}.nativeUdp`, mapping.nativeUdp);
+            if (mapping.proxyProtocol !== undefined && mapping.proxyProtocol !== null && !PROXY_PROTOCOL_VERSIONS.includes(mapping.proxyProtocol)) {
+                addError(`${field}.proxyProtocol`, `必须是 ${PROXY_PROTOCOL_VERSIONS.join('、')} 之一或 null`);
+            }
+            if (mapping.compression !== undefined && mapping.compression !== null && !COMPRESSION_ALGORITHMS.includes(mapping.compression)) {
+                addError(`${field}.compression`, `必须是 ${COMPRESSION_ALGORITHMS.join('、')} 之一或 null`);
+            }
+            if (!isValidBandwidth(mapping.bandwidth)) {
+                addError(`${field}.bandwidth`, '必须是 null 或 { upstream, downstream }，值为不小于0的整数');
+            }
+            const poolError = checkMappingPoolLimits(mapping.minIdleConnections, mapping.maxTotalConnections);
+            if (poolError) {
+                addError(field, poolError);
+            }
+            expectString(`${field}.description`, mapping.description);
+        });
+    }
+    
+    if (expectObject('connection', candidate.connection, true)) {
+        const connection = candidate.connection;
+        const minValid = expectInteger('connection.minIdleConnections', connection.minIdleConnections, 0, MAX_CONFIG_INTEGER, true);
+        const maxValid = expectInteger('connection.maxTotalConnections', connection.maxTotalConnections, 1, MAX_CONFIG_INTEGER, true);
+        expectInteger('connection.checkInterval', connection.checkInterval, 100, MAX_CONFIG_INTEGER, true);
+        expectInteger('connection.reconnectDelay', connection.reconnectDelay, 0, MAX_CONFIG_INTEGER, true);
+        expectInteger('connection.heartbeatInterval', connection.heartbeatInterval, 1000, MAX_CONFIG_INTEGER);
+        if (minValid && maxValid && connection.minIdleConnections > connection.maxTotalConnections) {
+            addError('connection.minIdleConnections', '不能大于 connection.maxTotalConnections');
+        }
+    }
+    
+    return errors;
+}
+
+// 将校验错误合并为一条提示
+function formatConfigErrors(errors) {
+    return errors.map(error => (error.field ? `${error.field}: ${error.message}` : error.message)).join('；');
+}
+
+// 按完整配置校验修改后的映射列表，与 POST /api/config 使用同一套规则，返回错误提示，通过时返回 null
+function checkPortMappings(portMappings) {
+    const errors = validateConfig({ ...config, portMappings });
+    return errors.length > 0 ? formatConfigErrors(errors) : null;
+}
+
+// ==================== 管理员账户 ====================
+
+// 加载管理员账户
+function loadAdmins() {
+    try {
+        if (fs.existsSync(ADMINS_FILE)) {
+            return JSON.parse(fs.readFileSync(ADMINS_FILE, 'utf8'));
+        }
+    } catch (error) {
+        console.error('加载管理员账户失败:', error);
+    }
+    return [];
+}
+
+// 保存管理员账户
+function saveAdmins(admins) {
+    try {
+        fs.writeFileSync(ADMINS_FILE, JSON.stringify(admins, null, 2), { encoding: 'utf8', mode: 0o600 });
+        return true;
+    } catch (error) {
+        console.error('保存管理员账户失败:', error);
+        return false;
+    }
+}
+
+// 计算密码哈希，格式: scrypt:盐:哈希
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt:${salt}:${hash}`;
+}
+
+// 校验密码
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// 确保至少存在一个管理员账户，首次启动时自动生成
+function ensureAdminAccount() {
+    const admins = loadAdmins();
+    if (admins.length > 0) {
+        return;
+    }
+    
+    const password = crypto.randomBytes(9).toString('base64').replace(/[+/=]/g, '');
+    admins.push({
+        username: 'admin',
+        passwordHash: hashPassword(password),
+        createdAt: new Date()
+    });
+    saveAdmins(admins);
+    
+    console.log('⚠️ 未找到管理员账户，已自动创建:');
+    console.log(`   用户名: admin`);
+    console.log(`   密码:   ${password}`);
+    console.log(`   账户保存在 ${ADMINS_FILE}，请登录后及时修改密码\n`);
+}
+
+// 去掉IPv6地址两侧的方括号，如 [2001:db8::1] -> 2001:db8::1
+function stripIpv6Brackets(host) {
+    const text = String(host || '').trim();
+    return text.startsWith('[') && text.endsWith(']') ? text.slice(1, -1) : text;
+}
+
+// 格式化地址和端口，IPv6地址加方括号
+function formatEndpoint(host, port) {
+    return net.isIPv6(host) ? `[${host}]:${port}` : `${host}:${port}`;
+}
+
+// 解析目标主机并按解析出的地址族创建UDP套接字，主机名可能只解析到IPv6地址
+function createUdpSocketFor(host, callback) {
+    dns.lookup(host, (err, address, family) => {
+        if (err) return callback(err);
+        callback(null, dgram.createSocket(family === 6 ? 'udp6' : 'udp4'), address);
+    });
+}
+
+// 检查映射的本地主机是否在允许列表中，主机名不区分大小写
+function isLocalHostAllowed(host, security = config.security) {
+    const allowed = (security && security.allowedLocalHosts) || ['127.0.0.1', 'localhost', '::1'];
+    const normalized = String(host).trim().toLowerCase();
+    return allowed.some(entry => String(entry).trim().toLowerCase() === normalized);
+}
+
 // 加载配置
 let config = loadConfig();
+ensureAdminAccount();
 
 // Web服务器配置
 const WEB_PORT = config.server.webPort;
-const PUBLIC_SERVER_IP = config.server.host;
+const WEB_HOST = config.server.webHost || '0.0.0.0'; // 设为 127.0.0.1 时仅允许本机访问管理界面
+const PUBLIC_SERVER_IP = stripIpv6Brackets(config.server.host); // 支持IPv6地址，可带方括号
 const PUBLIC_SERVER_PORT = config.server.port;
+const PUBLIC_SERVER_API_PORT = config.server.apiPort || 3000;
+const SERVER_API_TIMEOUT = 10000; // 端口分配、释放请求的超时
+
+// TLS配置：tls.enabled 加密隧道连接，tls.api 使用HTTPS请求端口分配
+// 证书校验方式：fingerprint 固定服务器证书SHA-256指纹，或 ca 指定受信任的CA证书文件
+const TLS_CONFIG = config.server.tls || {};
+const TLS_CA = TLS_CONFIG.ca ? loadTlsCa(TLS_CONFIG.ca) : null;
 
-// 连接池配置
-const MIN_IDLE_CONNECTIONS = config.connection.minIdleConnections;
-const MAX_TOTAL_CONNECTIONS = config.connection.maxTotalConnections;
+// 启动时读取并校验CA证书，路径相对于程序目录
+function loadTlsCa(caPath) {
+    try {
+        const ca = fs.readFileSync(path.resolve(__dirname, caPath));
+        new crypto.X509Certificate(ca);
+        return ca;
+    } catch (error) {
+        console.error('加载CA证书失败，请检查 config.json 中的 server.tls.ca:', error.message);
+        process.exit(1);
+    }
+}
+
+// 隧道认证凭据（需与服务端 config.json 中 clients 的配置一致）
+const CLIENT_ID = config.server.clientId || 'default';
+const CLIENT_SECRET = config.server.secret || '';
+const CLIENT_TOKEN = config.server.token || '';
+
+// 连接池配置，最少空闲连接数和最大连接数由 getMappingPoolLimits 从当前配置读取
 const CONNECTION_CHECK_INTERVAL = config.connection.checkInterval;
+const HEARTBEAT_INTERVAL = config.connection.heartbeatInterval || 20000; // 空闲连接心跳间隔
 
 // 全局状态管理
 let connectionId = 0;
 const activeMappings = new Map(); // mappingId -> mapping info
-const connectionPools = new Map(); // mappingId -> { activeConnections, idleConnections, reconnectDelay }
+const pendingReleases = new Map(); // mappingId -> 进行中的端口释放请求
+const connectionPools = new Map(); // mappingId -> { activeConnections, idleConnections, idleSockets, arrivals, history, reconnectDelay }
 let shouldMaintainConnection = true;
 const connectionHistory = [];
 
@@ -93,6 +446,8 @@ const connectionStats = {
     lastActivity: new Date(),
     reconnectAttempts: 0,
     currentStatus: 'stopped',
+    protocol: { state: 'unknown', version: null, features: [], message: null }, // 与服务器的协议协商结果
+    compression: { rawBytes: 0, compressedBytes: 0 }, // 压缩连接的原始字节数和隧道上实际传输的字节数
     activeMappings: 0,
     totalMappings: 0
 };
@@ -102,10 +457,280 @@ const app = express();
 const server = http.createServer(app);
 const io = socketIo(server);
 
+// ==================== 登录会话 ====================
+const SESSION_COOKIE = 'client_session';
+const SESSION_TTL = 12 * 60 * 60 * 1000; // 会话有效期12小时
+const sessions = new Map(); // sessionId -> { username, expiresAt }
+const loginFailures = new Map(); // ip -> { count, firstFailure }
+const LOGIN_FAILURE_LIMIT = 5;
+const LOGIN_LOCKOUT_WINDOW = 5 * 60 * 1000; // 锁定窗口5分钟
+
+// 无需登录即可访问的路径
+const PUBLIC_PATHS = new Set(['/login.html', '/api/login']);
+
+// 解析Cookie请求头，无法解码的Cookie直接忽略，避免格式错误的请求头导致异常
+function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            try {
+                cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                // 如 sid=%E0 这样的非法转义
+            }
+        }
+    });
+    return cookies;
+}
+
+// 根据Cookie获取有效会话
+function getSession(cookieHeader) {
+    const sessionId = parseCookies(cookieHeader)[SESSION_COOKIE];
+    const session = sessionId && sessions.get(sessionId);
+    if (!session) {
+        return null;
+    }
+    if (session.expiresAt < Date.now()) {
+        sessions.delete(sessionId);
+        return null;
+    }
+    return { id: sessionId, ...session };
+}
+
+// 管理员登录校验中间件
+function requireAdmin(req, res, next) {
+    if (PUBLIC_PATHS.has(req.path)) {
+        return next();
+    }
+    
+    const session = getSession(req.headers.cookie);
+    if (session) {
+        req.admin = session;
+        return next();
+    }
+    
+    if (req.path.startsWith('/api/')) {
+        return res.status(401).json({ success: false, message: '未登录或会话已过期' });
+    }
+    res.redirect('/login.html');
+}
+
+// 清理过期会话和超出锁定窗口的登录失败记录
+function cleanupSessions() {
+    const now = Date.now();
+    sessions.forEach((session, sessionId) => {
+        if (session.expiresAt < now) {
+            sessions.delete(sessionId);
+        }
+    });
+    loginFailures.forEach((failure, ip) => {
+        if (now - failure.firstFailure >= LOGIN_LOCKOUT_WINDOW) {
+            loginFailures.delete(ip);
+        }
+    });
+}
+
+// ==================== 审计日志 ====================
+const AUDIT_QUERY_LIMIT = 1000;
+const AUDIT_READ_CHUNK = 64 * 1024; // 倒序读取审计日志的块大小
+const AUDIT_REDACTED_KEYS = new Set(['secret', 'token', 'password', 'passwordHash']);
+
+// 深拷贝配置，用于记录变更前的状态
+function cloneConfig(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// 隐藏审计记录中的密钥和令牌
+function redactSecrets(value, key = '') {
+    if (AUDIT_REDACTED_KEYS.has(key) && value !== undefined && value !== null && value !== '') {
+        return '***';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redactSecrets(item));
+    }
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([childKey, child]) => [childKey, redactSecrets(child, childKey)]));
+    }
+    return value;
+}
+
+// 比较变更前后的配置，返回变更列表 [{ field, before, after }]
+function diffConfig(before, after, field = '', key = '') {
+    const bothArrays = Array.isArray(before) && Array.isArray(after);
+    if (bothArrays || (isPlainObject(before) && isPlainObject(after))) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        return Array.from(keys).flatMap(childKey => {
+            const childField = bothArrays ? `${field}[${childKey}]` : (field ? `${field}.${childKey}` : childKey);
+            return diffConfig(before[childKey], after[childKey], childField, bothArrays ? '' : childKey);
+        });
+    }
+    if (JSON.stringify(before) === JSON.stringify(after)) {
+        return [];
+    }
+    return [{ field, before: redactSecrets(before, key), after: redactSecrets(after, key) }];
+}
+
+// 追加一条审计记录，audit.log 每行一条JSON，只追加不修改
+function recordAudit(req, action, { actor, target = null, details, changes } = {}) {
+    const entry = {
+        time: new Date().toISOString(),
+        actor: actor || (req.admin ? { type: 'admin', name: req.admin.username } : { type: 'anonymous', name: null }),
+        ip: req.ip,
+        action,
+        target
+    };
+    if (details) entry.details = details;
+    if (changes) entry.changes = changes;
+    
+    try {
+        fs.appendFileSync(AUDIT_FILE, JSON.stringify(entry) + '\n', { encoding: 'utf8', mode: 0o600 });
+    } catch (error) {
+        console.error('写入审计日志失败:', error);
+    }
+    io.emit('audit-entry', entry);
+    return entry;
+}
+
+// 查询审计日志，按时间倒序返回；action 同时匹配其子操作，如 mapping 匹配 mapping.add
+function queryAuditLog({ action, actor, since, limit = 100 } = {}) {
+    const sinceTime = since ? Date.parse(since) : NaN;
+    const entries = [];
+    try {
+        if (!fs.existsSync(AUDIT_FILE)) return entries;
+        readLinesReverse(AUDIT_FILE, (line) => {
+            if (!line) return true;
+            
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                return true;
+            }
+            
+            // 记录按时间追加，早于起始时间即可结束
+            if (!Number.isNaN(sinceTime) && Date.parse(entry.time) < sinceTime) return false;
+            if (action && entry.action !== action && !String(entry.action).startsWith(`${action}.`)) return true;
+            if (actor && (!entry.actor || entry.actor.name !== actor)) return true;
+            entries.push(entry);
+            return entries.length < limit;
+        });
+    } catch (error) {
+        console.error('读取审计日志失败:', error);
+    }
+    return entries;
+}
+
+// 从文件末尾按块倒序读取各行，visit 返回 false 时停止，查询最近的记录不必读入整个文件
+function readLinesReverse(file, visit) {
+    const fd = fs.openSync(file, 'r');
+    try {
+        let position = fs.fstatSync(fd).size;
+        let remainder = Buffer.alloc(0); // 跨块的不完整行
+        while (position > 0) {
+            const size = Math.min(AUDIT_READ_CHUNK, position);
+            position -= size;
+            const chunk = Buffer.alloc(size);
+            fs.readSync(fd, chunk, 0, size, position);
+            
+            // 按换行字节切分，UTF-8多字节字符不含该字节，不会被截断
+            const buffer = Buffer.concat([chunk, remainder]);
+            let end = buffer.length;
+            for (let i = buffer.length - 1; i >= 0; i--) {
+                if (buffer[i] !== 0x0a) continue;
+                if (visit(buffer.toString('utf8', i + 1, end)) === false) return;
+                end = i;
+            }
+            remainder = buffer.subarray(0, end);
+        }
+        if (remainder.length > 0) visit(remainder.toString('utf8'));
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
 // 中间件
 app.use(express.json());
+app.use(requireAdmin);
 app.use(express.static(path.join(__dirname, 'public')));
 
+// 登录接口
+app.post('/api/login', (req, res) => {
+    const { username, password } = req.body || {};
+    const ip = req.ip;
+    
+    // 同一IP在锁定窗口内失败5次后暂时锁定
+    const failure = loginFailures.get(ip);
+    if (failure && failure.count >= LOGIN_FAILURE_LIMIT && Date.now() - failure.firstFailure < LOGIN_LOCKOUT_WINDOW) {
+        return res.status(429).json({ success: false, message: '登录失败次数过多，请5分钟后再试' });
+    }
+    
+    const admin = loadAdmins().find(a => a.username === username);
+    if (!admin || !verifyPassword(password, admin.passwordHash)) {
+        if (!failure || Date.now() - failure.firstFailure >= LOGIN_LOCKOUT_WINDOW) {
+            loginFailures.set(ip, { count: 1, firstFailure: Date.now() });
+        } else {
+            failure.count++;
+        }
+        broadcastLog('warning', `管理员登录失败: ${username || '(空)'}，来源: ${ip}`);
+        recordAudit(req, 'admin.login-failed', { target: `admin:${username || ''}` });
+        return res.status(401).json({ success: false, message: '用户名或密码错误' });
+    }
+    
+    loginFailures.delete(ip);
+    const sessionId = crypto.randomBytes(32).toString('hex');
+    sessions.set(sessionId, { username: admin.username, expiresAt: Date.now() + SESSION_TTL });
+    
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${sessionId}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${SESSION_TTL / 1000}`);
+    broadcastLog('info', `管理员 ${admin.username} 已登录，来源: ${ip}`);
+    recordAudit(req, 'admin.login', { actor: { type: 'admin', name: admin.username } });
+    res.json({ success: true, username: admin.username });
+});
+
+// 退出登录
+app.post('/api/logout', (req, res) => {
+    sessions.delete(req.admin.id);
+    recordAudit(req, 'admin.logout');
+    
+    // 断开该会话的实时连接
+    io.sockets.sockets.forEach(socket => {
+        if (socket.data.sessionId === req.admin.id) {
+            socket.disconnect(true);
+        }
+    });
+    
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+    res.json({ success: true, message: '已退出登录' });
+});
+
+// 当前会话信息
+app.get('/api/session', (req, res) => {
+    res.json({ success: true, username: req.admin.username });
+});
+
+// 修改当前管理员密码
+app.post('/api/admin/password', (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+    const admins = loadAdmins();
+    const admin = admins.find(a => a.username === req.admin.username);
+    
+    if (!admin || !verifyPassword(currentPassword, admin.passwordHash)) {
+        return res.status(400).json({ success: false, message: '当前密码错误' });
+    }
+    if (!newPassword || String(newPassword).length < 8) {
+        return res.status(400).json({ success: false, message: '新密码至少需要8个字符' });
+    }
+    
+    admin.passwordHash = hashPassword(String(newPassword));
+    if (!saveAdmins(admins)) {
+        return res.status(500).json({ success: false, message: '保存管理员账户失败' });
+    }
+    
+    broadcastLog('info', `管理员 ${admin.username} 已修改密码`);
+    recordAudit(req, 'admin.password', { target: `admin:${admin.username}` });
+    res.json({ success: true, message: '密码已修改' });
+});
+
 // API路由
 app.get('/api/stats', (req, res) => {
     const totalActiveConnections = Array.from(connectionPools.values())
@@ -132,9 +757,27 @@ app.get('/api/config', (req, res) => {
 
 app.post('/api/config', (req, res) => {
     try {
-        config = { ...config, ...req.body };
+        if (!isPlainObject(req.body)) {
+            return res.status(400).json({ success: false, message: '配置必须是JSON对象' });
+        }
+        
+        const newConfig = { ...config, ...req.body };
+        const errors = validateConfig(newConfig);
+        if (errors.length > 0) {
+            broadcastLog('warning', `配置更新被拒绝: ${formatConfigErrors(errors)}`);
+            return res.status(400).json({
+                success: false,
+                message: `配置校验失败: ${formatConfigErrors(errors)}`,
+                errors
+            });
+        }
+        
+        const changes = diffConfig(config, newConfig);
+        config = newConfig;
+        refreshMappingBandwidthLimits();
         if (saveConfig(config)) {
             broadcastLog('success', '配置已更新');
+            recordAudit(req, 'config.update', { target: 'config', changes });
             res.json({ success: true, message: '配置保存成功' });
         } else {
             res.status(500).json({ success: false, message: '配置保存失败' });
@@ -144,25 +787,75 @@ app.post('/api/config', (req, res) => {
     }
 });
 
+// 审计日志API
+app.get('/api/audit', (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), AUDIT_QUERY_LIMIT);
+    res.json(queryAuditLog({
+        action: req.query.action,
+        actor: req.query.actor,
+        since: req.query.since,
+        limit
+    }));
+});
+
 // 端口映射管理API
 app.get('/api/mappings', (req, res) => {
     const mappings = config.portMappings.map(mapping => ({
         ...mapping,
         active: activeMappings.has(mapping.id),
+        multiplexed: connectionPools.has(mapping.id) && connectionPools.get(mapping.id).multiplexed,
+        udpTunnel: connectionPools.has(mapping.id) && connectionPools.get(mapping.id).udpTunnel,
+        controlChannel: connectionPools.has(mapping.id) && connectionPools.get(mapping.id).controlChannel,
+        nativeUdpStats: getNativeUdpInfo(mapping.id),
+        heartbeat: connectionPools.has(mapping.id) ? connectionPools.get(mapping.id).heartbeat : null,
+        compressionStats: connectionPools.has(mapping.id) ? connectionPools.get(mapping.id).compression : null,
+        bandwidthState: connectionPools.has(mapping.id) ? getMappingBandwidthInfo(connectionPools.get(mapping.id)) : null,
+        poolState: getMappingPoolState(mapping.id),
         connections: connectionPools.has(mapping.id) ? 
             connectionPools.get(mapping.id).activeConnections + connectionPools.get(mapping.id).idleConnections : 0
     }));
     res.json(mappings);
 });
 
+// 映射连接池的当前状态和历史采样
+app.get('/api/mappings/:id/pool', (req, res) => {
+    const state = getMappingPoolState(req.params.id);
+    if (!state) {
+        return res.status(404).json({ success: false, message: '映射未运行或未使用连接池' });
+    }
+    res.json({ ...state, history: connectionPools.get(req.params.id).history });
+});
+
 app.post('/api/mappings', (req, res) => {
     try {
-        const { name, localHost, localPort, preferredPort, protocol = 'tcp', description, enabled = true, autoReconnect = true } = req.body;
+        const { name, localHost, localPort, preferredPort, protocol = 'tcp', description, enabled = true, autoReconnect = true, minecraft = false, minecraftHostname = '', multiplex = false, nativeUdp = false, proxyProtocol = null, compression = null, bandwidth = null, minIdleConnections = null, maxTotalConnections = null } = req.body;
         
         if (!name || !localHost || !localPort) {
             return res.status(400).json({ success: false, message: '缺少必要参数' });
         }
         
+        if (proxyProtocol !== null && !PROXY_PROTOCOL_VERSIONS.includes(proxyProtocol)) {
+            return res.status(400).json({ success: false, message: `PROXY协议版本必须是 ${PROXY_PROTOCOL_VERSIONS.join('、')} 之一` });
+        }
+        
+        if (compression !== null && !COMPRESSION_ALGORITHMS.includes(compression)) {
+            return res.status(400).json({ success: false, message: `压缩算法必须是 ${COMPRESSION_ALGORITHMS.join('、')} 之一` });
+        }
+        
+        if (!isValidBandwidth(bandwidth)) {
+            return res.status(400).json({ success: false, message: '带宽限制必须是不小于0的整数（字节/秒）' });
+        }
+        
+        const poolError = checkMappingPoolLimits(minIdleConnections, maxTotalConnections);
+        if (poolError) {
+            return res.status(400).json({ success: false, message: poolError });
+        }
+        
+        if (!isLocalHostAllowed(localHost)) {
+            broadcastLog('warning', `拒绝添加映射: 本地主机 ${localHost} 不在允许列表中`);
+            return res.status(403).json({ success: false, message: `本地主机 ${localHost} 不在允许列表中` });
+        }
+        
         const newMapping = {
             id: Date.now().toString(),
             name,
@@ -173,13 +866,33 @@ app.post('/api/mappings', (req, res) => {
             protocol,
             enabled,
             description: description || '',
-            autoReconnect
+            autoReconnect,
+            minecraft: minecraft === true,
+            minecraftHostname: String(minecraftHostname || '').trim() || null,
+            multiplex: multiplex === true,
+            nativeUdp: nativeUdp === true,
+            proxyProtocol,
+            compression,
+            bandwidth,
+            minIdleConnections,
+            maxTotalConnections
         };
         
+        const mappingError = checkPortMappings([...config.portMappings, newMapping]);
+        if (mappingError) {
+            broadcastLog('warning', `拒绝添加映射: ${mappingError}`);
+            return res.status(400).json({ success: false, message: `映射校验失败: ${mappingError}` });
+        }
+        
+        const before = cloneConfig(config.portMappings);
         config.portMappings.push(newMapping);
         
         if (saveConfig(config)) {
             broadcastLog('success', `端口映射已添加: ${name} (${protocol.toUpperCase()})`);
+            recordAudit(req, 'mapping.add', {
+                target: `mapping:${newMapping.id}`,
+                changes: diffConfig({ portMappings: before }, { portMappings: config.portMappings })
+            });
             res.json({ success: true, mapping: newMapping });
         } else {
             res.status(500).json({ success: false, message: '保存配置失败' });
@@ -198,10 +911,49 @@ app.put('/api/mappings/:id', (req, res) => {
             return res.status(404).json({ success: false, message: '映射不存在' });
         }
         
-        config.portMappings[mappingIndex] = { ...config.portMappings[mappingIndex], ...req.body };
+        if (req.body.localHost !== undefined && !isLocalHostAllowed(req.body.localHost)) {
+            broadcastLog('warning', `拒绝更新映射: 本地主机 ${req.body.localHost} 不在允许列表中`);
+            return res.status(403).json({ success: false, message: `本地主机 ${req.body.localHost} 不在允许列表中` });
+        }
+        
+        if (req.body.proxyProtocol !== undefined && req.body.proxyProtocol !== null && !PROXY_PROTOCOL_VERSIONS.includes(req.body.proxyProtocol)) {
+            return res.status(400).json({ success: false, message: `PROXY协议版本必须是 ${PROXY_PROTOCOL_VERSIONS.join('、')} 之一` });
+        }
+        
+        if (req.body.compression !== undefined && req.body.compression !== null && !COMPRESSION_ALGORITHMS.includes(req.body.compression)) {
+            return res.status(400).json({ success: false, message: `压缩算法必须是 ${COMPRESSION_ALGORITHMS.join('、')} 之一` });
+        }
+        
+        if (!isValidBandwidth(req.body.bandwidth)) {
+            return res.status(400).json({ success: false, message: '带宽限制必须是不小于0的整数（字节/秒）' });
+        }
+        
+        // 映射ID以路径为准，请求体中的 id 不能改写
+        const before = config.portMappings[mappingIndex];
+        const merged = { ...before, ...req.body, id: mappingId };
+        const poolError = checkMappingPoolLimits(merged.minIdleConnections, merged.maxTotalConnections);
+        if (poolError) {
+            return res.status(400).json({ success: false, message: poolError });
+        }
+        
+        const mappingError = checkPortMappings(config.portMappings.map((mapping, index) => (index === mappingIndex ? merged : mapping)));
+        if (mappingError) {
+            broadcastLog('warning', `拒绝更新映射: ${mappingError}`);
+            return res.status(400).json({ success: false, message: `映射校验失败: ${mappingError}` });
+        }
+        
+        config.portMappings[mappingIndex] = merged;
+        refreshMappingBandwidthLimits();
         
         if (saveConfig(config)) {
             broadcastLog('success', `端口映射已更新: ${config.portMappings[mappingIndex].name}`);
+            recordAudit(req, 'mapping.update', {
+                target: `mapping:${mappingId}`,
+                changes: diffConfig(
+                    { [`portMappings[${mappingIndex}]`]: before },
+                    { [`portMappings[${mappingIndex}]`]: config.portMappings[mappingIndex] }
+                )
+            });
             res.json({ success: true, mapping: config.portMappings[mappingIndex] });
         } else {
             res.status(500).json({ success: false, message: '保存配置失败' });
@@ -222,15 +974,22 @@ app.delete('/api/mappings/:id', (req, res) => {
         
         const mapping = config.portMappings[mappingIndex];
         
-        // 如果映射正在运行，先停止它
+        // 如果映射正在运行，先停止它；未运行时也通知服务器释放可能遗留的端口
         if (activeMappings.has(mappingId)) {
             stopMapping(mappingId);
+        } else {
+            releasePublicPort(mapping);
         }
         
+        const before = cloneConfig(config.portMappings);
         config.portMappings.splice(mappingIndex, 1);
         
         if (saveConfig(config)) {
             broadcastLog('success', `端口映射已删除: ${mapping.name}`);
+            recordAudit(req, 'mapping.delete', {
+                target: `mapping:${mappingId}`,
+                changes: diffConfig({ portMappings: before }, { portMappings: config.portMappings })
+            });
             res.json({ success: true, message: '映射已删除' });
         } else {
             res.status(500).json({ success: false, message: '保存配置失败' });
@@ -254,6 +1013,7 @@ app.post('/api/mappings/:id/start', (req, res) => {
     
     startMapping(mapping)
         .then(() => {
+            recordAudit(req, 'mapping.start', { target: `mapping:${mappingId}` });
             res.json({ success: true, message: `映射 ${mapping.name} 已启动` });
         })
         .catch(error => {
@@ -274,6 +1034,7 @@ app.post('/api/mappings/:id/stop', (req, res) => {
     }
     
     stopMapping(mappingId);
+    recordAudit(req, 'mapping.stop', { target: `mapping:${mappingId}` });
     res.json({ success: true, message: `映射 ${mapping.name} 已停止` });
 });
 
@@ -283,6 +1044,7 @@ app.post('/api/start', (req, res) => {
         shouldMaintainConnection = true;
         updateClientStatus('connecting');
         startAllMappings();
+        recordAudit(req, 'client.start', { target: 'client' });
         res.json({ success: true, message: '客户端已启动' });
     } else {
         res.json({ success: true, message: '客户端已在运行中' });
@@ -294,6 +1056,7 @@ app.post('/api/stop', (req, res) => {
         shouldMaintainConnection = false;
         stopAllMappings();
         updateClientStatus('stopped');
+        recordAudit(req, 'client.stop', { target: 'client' });
         res.json({ success: true, message: '客户端已停止' });
     } else {
         res.json({ success: true, message: '客户端已处于停止状态' });
@@ -302,6 +1065,7 @@ app.post('/api/stop', (req, res) => {
 
 app.post('/api/restart', (req, res) => {
     broadcastLog('info', '正在重启客户端服务...');
+    recordAudit(req, 'client.restart', { target: 'client' });
     shouldMaintainConnection = false;
     stopAllMappings();
     updateClientStatus('connecting');
@@ -352,12 +1116,11 @@ function startAllMappings() {
     });
 }
 
-// 停止所有映射
+// 停止所有映射，返回的 Promise 在所有端口释放请求结束后完成
 function stopAllMappings() {
-    activeMappings.forEach((_, mappingId) => {
-        stopMapping(mappingId);
-    });
+    const releases = Array.from(activeMappings.keys()).map(mappingId => stopMapping(mappingId));
     updateClientStatus('stopped');
+    return Promise.all(releases);
 }
 
 // 更新客户端状态
@@ -376,10 +1139,11 @@ function checkConnectionHealth() {
         .reduce((sum, pool) => sum + pool.activeConnections, 0);
     const totalIdleConnections = Array.from(connectionPools.values())
         .reduce((sum, pool) => sum + pool.idleConnections, 0);
+    const hasSessionTunnel = Array.from(connectionPools.values()).some(pool => pool.multiplexed || pool.udpTunnel || pool.controlChannel);
     
     if (activeMappings.size === 0) {
         updateClientStatus('stopped');
-    } else if (totalActiveConnections > 0 || totalIdleConnections > 0) {
+    } else if (totalActiveConnections > 0 || totalIdleConnections > 0 || hasSessionTunnel) {
         updateClientStatus('connected');
     } else {
         // 检查是否连接失败次数过多
@@ -406,12 +1170,22 @@ async function startMapping(mapping) {
         return;
     }
     
+    // 只允许转发到允许列表中的本地主机
+    if (!isLocalHostAllowed(mapping.localHost)) {
+        const error = new Error(`本地主机 ${mapping.localHost} 不在允许列表中 (security.allowedLocalHosts)`);
+        broadcastLog('error', `启动映射 ${mapping.name} 失败: ${error.message}`);
+        throw error;
+    }
+    
     try {
         // 更新状态为连接中
         updateClientStatus('connecting');
         
         let publicPort;
         
+        // 等待此前停止该映射时发出的释放请求结束，否则复用的端口可能随后被释放
+        await pendingReleases.get(mapping.id);
+        
         // 如果映射已经有公网端口，尝试重用它
         if (mapping.publicPort) {
             try {
@@ -452,6 +1226,19 @@ async function startMapping(mapping) {
         connectionPools.set(mapping.id, {
             activeConnections: 0,
             idleConnections: 0,
+            connecting: 0, // 已创建但尚未通过认证的连接数，计入 idleConnections
+            idleSockets: new Map(), // 已通过认证的空闲连接 -> 连接记录
+            arrivals: [], // 最近 POOL_RATE_WINDOW 内空闲连接被外部连接使用的时间
+            history: [], // 连接池大小采样 { time, idle, active, target }
+            multiplexed: false,
+            udpTunnel: false,
+            controlChannel: false,
+            connectionInfoWarned: false,
+            compressionWarned: false,
+            heartbeat: { rtt: null, lastSeen: null, timeouts: 0 },
+            compression: { rawBytes: 0, compressedBytes: 0 },
+            bandwidth: { upstream: createTokenBucket(), downstream: createTokenBucket() },
+            bandwidthLimits: getMappingBandwidthLimits(mapping.id),
             reconnectDelay: config.connection.reconnectDelay
         });
         
@@ -462,8 +1249,19 @@ async function startMapping(mapping) {
         
         connectionStats.activeMappings = activeMappings.size;
         
-        // 开始维护此映射的连接
-        maintainMappingConnections(mapping);
+        // 开始维护此映射的连接：TCP使用连接池（配合控制通道按需补充）或多路复用隧道，UDP使用UDP隧道
+        const protocol = mapping.protocol || 'tcp';
+        if (protocol !== 'udp') {
+            if (mapping.multiplex === true) {
+                maintainSessionTunnel(mapping, 'mux');
+            } else {
+                maintainMappingConnections(mapping);
+                maintainSessionTunnel(mapping, 'control');
+            }
+        }
+        if (protocol !== 'tcp') {
+            maintainSessionTunnel(mapping, 'udp');
+        }
         
         broadcastLog('success', `映射 ${mapping.name} 启动成功: ${mapping.localHost}:${mapping.localPort} -> 公网:${publicPort}`);
         
@@ -476,397 +1274,1953 @@ async function startMapping(mapping) {
     }
 }
 
-// 停止单个映射
+// 停止单个映射并通知服务器释放其公网端口，返回释放请求的 Promise
 function stopMapping(mappingId) {
     const mapping = activeMappings.get(mappingId);
-    if (!mapping) return;
+    if (!mapping) return Promise.resolve();
     
     activeMappings.delete(mappingId);
     connectionPools.delete(mappingId);
     connectionStats.activeMappings = activeMappings.size;
     
+    sessionTunnels.forEach(tunnels => {
+        const tunnel = tunnels.get(mappingId);
+        if (tunnel && !tunnel.socket.destroyed) {
+            tunnel.socket.destroy();
+        }
+    });
+    
     broadcastLog('info', `映射 ${mapping.name} 已停止`);
     
     // 如果没有活跃映射了，更新状态为停止
     if (activeMappings.size === 0) {
         updateClientStatus('stopped');
     }
+    
+    return releasePublicPort(mapping);
 }
 
-// 请求端口分配
-async function requestPortAllocation(mapping) {
-    try {
-        const serverWebPort = 3000; // 服务端Web端口，可以从配置获取
+// 生成连接代理服务器的TLS参数
+function getTlsConnectOptions() {
+    const options = {
+        host: PUBLIC_SERVER_IP,
+        minVersion: 'TLSv1.2'
+    };
+    
+    // SNI 不允许使用IP地址
+    if (TLS_CONFIG.servername || !net.isIP(PUBLIC_SERVER_IP)) {
+        options.servername = TLS_CONFIG.servername || PUBLIC_SERVER_IP;
+    }
+    if (TLS_CA) {
+        options.ca = TLS_CA;
+    } else if (TLS_CONFIG.fingerprint) {
+        // 只配置指纹时（自签名证书）跳过证书链校验，改由指纹校验
+        options.rejectUnauthorized = false;
+    }
+    
+    return options;
+}
+
+// 校验服务器证书，返回错误信息，校验通过返回 null
+function verifyServerCertificate(socket) {
+    if (TLS_CONFIG.fingerprint) {
+        const normalize = (fingerprint) => String(fingerprint).replace(/:/g, '').toUpperCase();
+        const certificate = socket.getPeerCertificate();
+        if (!certificate || normalize(certificate.fingerprint256) !== normalize(TLS_CONFIG.fingerprint)) {
+            return `服务器证书指纹不匹配: ${certificate && certificate.fingerprint256}`;
+        }
+        return null;
+    }
+    
+    if (!socket.authorized) {
+        return `服务器证书校验失败: ${socket.authorizationError}`;
+    }
+    return null;
+}
+
+// 连接到代理服务器的隧道端口
+function connectToProxyServer() {
+    if (!TLS_CONFIG.enabled) {
+        return net.connect(PUBLIC_SERVER_PORT, PUBLIC_SERVER_IP);
+    }
+    return tls.connect({ port: PUBLIC_SERVER_PORT, ...getTlsConnectOptions() });
+}
+
+// 调用服务器的客户端API（使用API令牌认证），返回 { statusCode, result }，网络错误或响应无法解析时失败
+function requestServerApi(apiPath, body) {
+    const requestData = JSON.stringify(body);
+    
+    return new Promise((resolve, reject) => {
+        const options = {
+            hostname: PUBLIC_SERVER_IP,
+            port: PUBLIC_SERVER_API_PORT,
+            path: apiPath,
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(requestData),
+                'Authorization': `Bearer ${CLIENT_TOKEN}`
+            }
+        };
+        
+        if (TLS_CONFIG.api) {
+            // 每次请求独立建立连接，确保证书校验在发送令牌之前完成
+            Object.assign(options, getTlsConnectOptions(), { agent: false });
+        }
+        
+        const req = (TLS_CONFIG.api ? https : http).request(options, (res) => {
+            let data = '';
+            
+            res.on('data', (chunk) => {
+                data += chunk;
+            });
+            
+            res.on('end', () => {
+                try {
+                    resolve({ statusCode: res.statusCode, result: JSON.parse(data) });
+                } catch (error) {
+                    broadcastLog('error', `解析服务器响应失败: ${error.message}`);
+                    reject(error);
+                }
+            });
+        });
+        
+        // 服务器无响应时不无限等待，停止映射和关闭客户端都依赖请求结束
+        req.setTimeout(SERVER_API_TIMEOUT, () => {
+            req.destroy(new Error(`请求超时 (${SERVER_API_TIMEOUT / 1000} 秒)`));
+        });
+        
+        req.on('error', (error) => {
+            broadcastLog('error', `连接服务器失败: ${error.message}`);
+            reject(error);
+        });
+        
+        if (!TLS_CONFIG.api) {
+            req.write(requestData);
+            req.end();
+            return;
+        }
+        
+        req.on('socket', (socket) => {
+            socket.once('secureConnect', () => {
+                const certError = verifyServerCertificate(socket);
+                if (certError) {
+                    req.destroy(new Error(certError));
+                    return;
+                }
+                req.end(requestData);
+            });
+        });
+    });
+}
+
+// 请求端口分配
+async function requestPortAllocation(mapping) {
+    try {
         
         // 如果映射已有公网端口，优先使用它作为首选端口
         const preferredPort = mapping.publicPort || mapping.preferredPort;
         
-        // 使用 http 模块替代 fetch
-        const requestData = JSON.stringify({
+        return requestServerApi('/api/ports/allocate', {
             localPort: mapping.localPort,
             preferredPort: preferredPort,
-            protocol: mapping.protocol || 'tcp' // 添加协议类型支持
+            protocol: mapping.protocol || 'tcp', // 添加协议类型支持
+            minecraft: mapping.minecraft === true, // 由服务端检查Minecraft玩家白名单
+            hostname: mapping.minecraftHostname || undefined // 服务端共享端口按该域名把玩家转到此映射
+        }).then(({ statusCode, result }) => {
+            if (statusCode === 200 && result.success) {
+                broadcastLog('success', `端口分配成功: ${mapping.localPort} -> ${result.publicPort}`);
+                return result.publicPort;
+            }
+            if (statusCode === 401 || statusCode === 403) {
+                broadcastLog('error', `端口分配被服务器拒绝(${statusCode}): ${result.message}`);
+                throw new Error(`服务器拒绝分配: ${result.message}`);
+            }
+            broadcastLog('error', `端口分配失败: ${result.message}`);
+            throw new Error(result.message);
         });
-        
-        return new Promise((resolve, reject) => {
-            const options = {
-                hostname: PUBLIC_SERVER_IP,
-                port: serverWebPort,
-                path: '/api/ports/allocate',
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Content-Length': Buffer.byteLength(requestData)
-                }
-            };
+    } catch (error) {
+        broadcastLog('error', `请求端口分配失败: ${error.message}`);
+        throw error;
+    }
+}
+
+// 通知服务器释放映射的公网端口，服务器关闭对外监听后该端口可以重新分配。
+// 请求结束前记录在 pendingReleases 中，再次启动同一映射时先等待释放完成，避免新分配的端口随后被释放
+function releasePublicPort(mapping) {
+    const publicPort = mapping.publicPort;
+    if (!publicPort) {
+        return Promise.resolve();
+    }
+    
+    const release = requestServerApi('/api/ports/release', { publicPort })
+        .then(({ statusCode, result }) => {
+            if (statusCode === 200 && result.success) {
+                broadcastLog('info', `服务器已释放映射 ${mapping.name} 的公网端口 ${publicPort}`);
+            } else if (statusCode !== 404) {
+                // 404 表示服务器上已没有该端口的映射（如服务器重启过），无需处理
+                broadcastLog('warning', `释放公网端口 ${publicPort} 失败(${statusCode}): ${result.message}`);
+            }
+        })
+        .catch((error) => {
+            broadcastLog('warning', `释放公网端口 ${publicPort} 失败: ${error.message}`);
+        })
+        .finally(() => {
+            if (pendingReleases.get(mapping.id) === release) {
+                pendingReleases.delete(mapping.id);
+            }
+        });
+    pendingReleases.set(mapping.id, release);
+    return release;
+}
+
+// ==================== 自适应连接池 ====================
+// 每个映射的空闲连接目标数随最近的连接到达速率调整：按最近 POOL_RATE_WINDOW 内的平均速率，
+// 取一个检查间隔内预计到达的连接数，再限制在映射的最少空闲连接数和最大连接数之间。
+// 映射可以在 portMappings 中覆盖 minIdleConnections、maxTotalConnections，未设置时使用 connection 中的全局值
+const POOL_RATE_WINDOW = 60000;
+const POOL_HISTORY_LIMIT = 360; // 每个映射保留的采样数，按默认检查间隔约为半小时
+
+// 从当前配置读取映射的最少空闲连接数和最大连接数，编辑映射后无需重启即可生效
+function getMappingPoolLimits(mappingId) {
+    const mapping = config.portMappings.find(item => item.id === mappingId) || {};
+    return {
+        minIdleConnections: Number.isInteger(mapping.minIdleConnections) ? mapping.minIdleConnections : config.connection.minIdleConnections,
+        maxTotalConnections: Number.isInteger(mapping.maxTotalConnections) ? mapping.maxTotalConnections : config.connection.maxTotalConnections
+    };
+}
+
+// 记录一次空闲连接被外部连接使用
+function recordConnectionArrival(pool) {
+    const now = Date.now();
+    pool.arrivals.push(now);
+    while (pool.arrivals.length > 0 && now - pool.arrivals[0] > POOL_RATE_WINDOW) {
+        pool.arrivals.shift();
+    }
+}
+
+// 最近 POOL_RATE_WINDOW 内平均每秒到达的连接数
+function getConnectionArrivalRate(pool) {
+    const now = Date.now();
+    const recent = pool.arrivals.filter(time => now - time <= POOL_RATE_WINDOW).length;
+    return recent / (POOL_RATE_WINDOW / 1000);
+}
+
+// 计算映射的空闲连接目标数。有控制通道时服务端会按需请求连接，最少空闲连接数可以为0；
+// 控制通道不可用时至少保留一个空闲连接，否则外部连接无法接入。空闲和活跃连接合计不超过最大连接数
+function getPoolTarget(mappingId, pool) {
+    const limits = getMappingPoolLimits(mappingId);
+    const expected = Math.ceil(getConnectionArrivalRate(pool) * CONNECTION_CHECK_INTERVAL / 1000);
+    const minIdle = pool.controlChannel ? limits.minIdleConnections : Math.max(limits.minIdleConnections, 1);
+    const maxIdle = Math.max(limits.maxTotalConnections - pool.activeConnections, 0);
+    return Math.min(Math.max(expected, minIdle), maxIdle);
+}
+
+// 使用连接池的运行中映射的连接池状态，多路复用和纯UDP映射返回 null
+function getMappingPoolState(mappingId) {
+    const pool = connectionPools.get(mappingId);
+    return pool && pool.history.length > 0 ? getMappingPoolInfo(mappingId, pool) : null;
+}
+
+function getMappingPoolInfo(mappingId, pool) {
+    return {
+        ...getMappingPoolLimits(mappingId),
+        target: getPoolTarget(mappingId, pool),
+        arrivalsPerMinute: Math.round(getConnectionArrivalRate(pool) * 60 * 10) / 10,
+        idle: pool.idleConnections,
+        active: pool.activeConnections
+    };
+}
+
+// 将空闲连接数调整到目标数：不足时一次补齐，超出时每次关闭一个已空闲的连接，避免到达速率波动时频繁重建
+function adjustMappingPool(mapping, pool) {
+    const target = getPoolTarget(mapping.id, pool);
+    for (let i = pool.idleConnections; i < target; i++) {
+        createMappingConnection(mapping);
+    }
+    
+    // 只关闭协商了心跳的连接：服务端收到确认前不会转发，连接断开时会把刚匹配的外部连接重新排队；
+    // 未启用心跳的连接可能已被服务端分配给外部连接，关闭会直接断开该玩家
+    if (pool.idleConnections > target) {
+        for (const [socket, record] of pool.idleSockets) {
+            if (!record.heartbeat) continue;
+            pool.idleSockets.delete(socket);
+            record.status = 'closed';
+            socket.destroy();
+            break;
+        }
+    }
+    return target;
+}
+
+// 维护映射连接
+function maintainMappingConnections(mapping) {
+    const pool = connectionPools.get(mapping.id);
+    if (!pool || !shouldMaintainConnection || !activeMappings.has(mapping.id)) {
+        return;
+    }
+    
+    const target = adjustMappingPool(mapping, pool);
+    pool.history.push({ time: Date.now(), idle: pool.idleConnections, active: pool.activeConnections, target });
+    if (pool.history.length > POOL_HISTORY_LIMIT) {
+        pool.history.shift();
+    }
+    
+    // 设置下次检查
+    setTimeout(() => maintainMappingConnections(mapping), CONNECTION_CHECK_INTERVAL);
+}
+
+// ==================== 隧道帧协议 ====================
+// 帧格式: [类型 1字节][流ID 4字节][负载长度 4字节][负载]
+// 握手等控制帧的流ID固定为0，负载为JSON
+const FRAME_HEADER_SIZE = 9;
+const MAX_FRAME_SIZE = 1024 * 1024;
+const FrameType = {
+    CHALLENGE: 0x01,   // 服务端 -> 客户端: 认证挑战
+    AUTH: 0x02,        // 客户端 -> 服务端: 认证信息
+    AUTH_OK: 0x03,     // 服务端 -> 客户端: 认证通过
+    AUTH_FAILED: 0x04, // 服务端 -> 客户端: 认证失败
+    HELLO: 0x05,       // 客户端 -> 服务端: 协议版本和支持的功能
+    WELCOME: 0x06,     // 服务端 -> 客户端: 协商后的版本和功能
+    REJECT: 0x07,      // 服务端 -> 客户端: 拒绝协商，负载带原因
+    PING: 0x08,        // 客户端 -> 服务端: 空闲连接心跳，流ID为序号，负载为上一次测得的RTT(JSON)
+    PONG: 0x09,        // 服务端 -> 客户端: 心跳应答，流ID与 PING 相同
+    STREAM_OPEN: 0x10,   // 服务端 -> 客户端: 打开流，负载为外部连接信息(JSON)
+    STREAM_DATA: 0x11,   // 双向: 流数据
+    STREAM_CLOSE: 0x12,  // 双向: 关闭流
+    STREAM_WINDOW: 0x13, // 双向: 归还发送窗口，负载为4字节增量
+    UDP_OPEN: 0x20,      // 服务端 -> 客户端: 打开UDP会话，负载为外部地址信息(JSON)
+    UDP_DATA: 0x21,      // 双向: 一个完整的UDP数据报
+    UDP_CLOSE: 0x22,     // 双向: 关闭UDP会话
+    DEMAND: 0x30         // 服务端 -> 客户端: 端口有外部连接在等待，负载为 { port, waiting }(JSON)
+};
+
+// 编码一个帧
+function encodeFrame(type, id, payload = Buffer.alloc(0)) {
+    const header = Buffer.alloc(FRAME_HEADER_SIZE);
+    header.writeUInt8(type, 0);
+    header.writeUInt32BE(id, 1);
+    header.writeUInt32BE(payload.length, 5);
+    return Buffer.concat([header, payload]);
+}
+
+// 编码一个JSON控制帧
+function encodeJsonFrame(type, data) {
+    return encodeFrame(type, 0, Buffer.from(JSON.stringify(data), 'utf8'));
+}
+
+// 解析JSON控制帧负载
+function parseJsonPayload(frame) {
+    return JSON.parse(frame.payload.toString('utf8'));
+}
+
+// 创建流式帧解码器，onFrame 返回 false 时停止解析，剩余数据可通过 takeRemainder 取出
+function createFrameDecoder(onFrame) {
+    let buffer = Buffer.alloc(0);
+    
+    return {
+        push(chunk) {
+            buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
             
-            const req = http.request(options, (res) => {
-                let data = '';
+            while (buffer.length >= FRAME_HEADER_SIZE) {
+                const length = buffer.readUInt32BE(5);
+                if (length > MAX_FRAME_SIZE) {
+                    throw new Error(`帧长度超出限制: ${length}字节`);
+                }
+                if (buffer.length < FRAME_HEADER_SIZE + length) {
+                    break;
+                }
                 
-                res.on('data', (chunk) => {
-                    data += chunk;
-                });
+                const frame = {
+                    type: buffer.readUInt8(0),
+                    id: buffer.readUInt32BE(1),
+                    payload: buffer.slice(FRAME_HEADER_SIZE, FRAME_HEADER_SIZE + length)
+                };
+                buffer = buffer.slice(FRAME_HEADER_SIZE + length);
                 
-                res.on('end', () => {
-                    try {
-                        const result = JSON.parse(data);
-                        if (res.statusCode === 200 && result.success) {
-                            broadcastLog('success', `端口分配成功: ${mapping.localPort} -> ${result.publicPort}`);
-                            resolve(result.publicPort);
-                        } else {
-                            broadcastLog('error', `端口分配失败: ${result.message}`);
-                            reject(new Error(result.message));
-                        }
-                    } catch (error) {
-                        broadcastLog('error', `解析服务器响应失败: ${error.message}`);
-                        reject(error);
-                    }
-                });
-            });
+                if (onFrame(frame) === false) {
+                    break;
+                }
+            }
+        },
+        takeRemainder() {
+            const remainder = buffer;
+            buffer = Buffer.alloc(0);
+            return remainder;
+        }
+    };
+}
+
+// 计算认证签名: HMAC-SHA256(secret, nonce:clientId:port)
+function computeAuthDigest(secret, nonce, clientId, port) {
+    return crypto.createHmac('sha256', secret)
+        .update(`${nonce}:${clientId}:${port}`)
+        .digest('hex');
+}
+
+// ==================== 协议协商 ====================
+// 收到 CHALLENGE 后先发送 HELLO 声明协议版本和支持的功能，服务端回复 WELCOME（协商后的功能）或 REJECT（拒绝原因），
+// 之后才发送认证信息。协商结果显示在管理界面的状态栏中
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 2;
+const CLIENT_FEATURES = ['mux', 'udp', 'nativeUdp', 'connectionInfo', 'heartbeat', 'compression', 'control'];
+const PROTOCOL_FEATURE_NAMES = {
+    mux: '多路复用',
+    udp: 'UDP帧',
+    nativeUdp: '原生UDP',
+    connectionInfo: '连接信息',
+    heartbeat: '心跳',
+    compression: '压缩',
+    control: '控制通道'
+};
+
+// 更新协商结果，状态或功能变化时记录日志
+function updateProtocolStatus(status) {
+    const previous = connectionStats.protocol;
+    connectionStats.protocol = { version: null, features: [], message: null, ...status };
+    if (previous.state === status.state && previous.message === connectionStats.protocol.message
+        && previous.version === connectionStats.protocol.version
+        && previous.features.join() === connectionStats.protocol.features.join()) {
+        return;
+    }
+    
+    if (status.state === 'negotiated') {
+        const names = status.features.map(feature => PROTOCOL_FEATURE_NAMES[feature] || feature);
+        broadcastLog('info', `与服务器协商协议版本 ${status.version}，可用功能: ${names.join('、') || '无'}`);
+    } else if (status.state === 'rejected') {
+        broadcastLog('error', `服务器拒绝协议协商: ${status.message}`);
+    }
+    broadcastStats();
+}
+
+// 与代理服务器完成认证握手，成功后返回握手之后已收到的剩余数据和服务器的认证响应
+// mode 为 mux/udp/control 时请求以多路复用隧道、UDP隧道或控制通道接入，extraAuth 为附加在认证消息中的选项
+function performTunnelHandshake(proxySocket, publicPort, mode = 'pool', extraAuth = {}) {
+    return new Promise((resolve, reject) => {
+        if (!CLIENT_SECRET) {
+            reject(new Error('未配置 server.secret，无法通过服务器认证'));
+            return;
+        }
+        
+        let settled = false;
+        
+        const finish = (error, accepted) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timeout);
+            proxySocket.removeListener('data', onData);
+            proxySocket.removeListener('close', onClose);
             
-            req.on('error', (error) => {
-                broadcastLog('error', `连接服务器失败: ${error.message}`);
+            if (error) {
                 reject(error);
-            });
+            } else {
+                // 暂停读取，等待调用方挂载数据处理器后再恢复
+                proxySocket.pause();
+                resolve({ remainder: decoder.takeRemainder(), accepted });
+            }
+        };
+        
+        let nonce = null;
+        let welcomed = false;
+        
+        const decoder = createFrameDecoder((frame) => {
+            let message;
+            try {
+                message = parseJsonPayload(frame);
+            } catch (error) {
+                finish(new Error('握手消息格式错误'));
+                return false;
+            }
             
-            req.write(requestData);
-            req.end();
+            switch (frame.type) {
+                case FrameType.CHALLENGE:
+                    nonce = message.nonce;
+                    proxySocket.write(encodeJsonFrame(FrameType.HELLO, {
+                        version: PROTOCOL_VERSION,
+                        minVersion: MIN_PROTOCOL_VERSION,
+                        clientId: CLIENT_ID,
+                        features: CLIENT_FEATURES
+                    }));
+                    return true;
+                case FrameType.WELCOME: {
+                    welcomed = true;
+                    const features = Array.isArray(message.features) ? message.features : [];
+                    updateProtocolStatus({ state: 'negotiated', version: message.version, features });
+                    if (mode !== 'pool' && !features.includes(mode)) {
+                        const error = new Error(`服务器不支持${SESSION_TUNNEL_MODES[mode].name}`);
+                        error.code = 'MODE_UNSUPPORTED';
+                        finish(error);
+                        return false;
+                    }
+                    proxySocket.write(encodeJsonFrame(FrameType.AUTH, {
+                        clientId: CLIENT_ID,
+                        port: publicPort,
+                        digest: computeAuthDigest(CLIENT_SECRET, nonce, CLIENT_ID, publicPort),
+                        ...(mode !== 'pool' ? { mode } : {}),
+                        ...extraAuth
+                    }));
+                    return true;
+                }
+                case FrameType.REJECT: {
+                    updateProtocolStatus({ state: 'rejected', message: message.message });
+                    const error = new Error(`服务器拒绝协议协商: ${message.message}`);
+                    error.code = 'REJECTED';
+                    finish(error);
+                    return false;
+                }
+                case FrameType.AUTH_OK:
+                    finish(null, message);
+                    return false;
+                case FrameType.AUTH_FAILED:
+                    // 不支持协商的旧版服务端收到 HELLO 时直接拒绝
+                    if (!welcomed) {
+                        updateProtocolStatus({ state: 'rejected', message: `服务器版本过旧，不支持协议协商 (${message.message})` });
+                        finish(new Error('服务器版本过旧，不支持协议协商，请升级服务器'));
+                        return false;
+                    }
+                    finish(new Error(`服务器拒绝认证: ${message.message}`));
+                    return false;
+                default:
+                    finish(new Error(`意外的握手帧类型: ${frame.type}`));
+                    return false;
+            }
         });
-    } catch (error) {
-        broadcastLog('error', `请求端口分配失败: ${error.message}`);
-        throw error;
+        
+        const onData = (data) => {
+            try {
+                decoder.push(data);
+            } catch (error) {
+                finish(error);
+            }
+        };
+        
+        const onClose = () => finish(new Error('握手期间连接被服务器关闭'));
+        
+        const timeout = setTimeout(() => finish(new Error('认证握手超时')), 10000);
+        
+        proxySocket.on('data', onData);
+        proxySocket.on('close', onClose);
+    });
+}
+
+// ==================== PROXY协议 ====================
+// 映射开启 proxyProtocol 后，连接本地服务时先发送 HAProxy PROXY 协议头（v1 文本或 v2 二进制），携带玩家的真实地址。
+// 玩家地址由服务端打开流时在 STREAM_OPEN 中传递，普通连接需在认证时声明 connectionInfo 才会收到
+const PROXY_V2_SIGNATURE = Buffer.from([0x0d, 0x0a, 0x0d, 0x0a, 0x00, 0x0d, 0x0a, 0x51, 0x55, 0x49, 0x54, 0x0a]);
+
+// 将IP地址转为字节，IPv6头中的IPv4地址使用映射形式 ::ffff:a.b.c.d
+function ipToBuffer(address, ipv6) {
+    if (net.isIPv4(address)) {
+        const bytes = Buffer.from(address.split('.').map(Number));
+        return ipv6 ? Buffer.concat([Buffer.alloc(10), Buffer.from([0xff, 0xff]), bytes]) : bytes;
+    }
+    
+    let text = address.split('%')[0];
+    const embedded = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (embedded) {
+        const bytes = ipToBuffer(embedded[1], false);
+        text = `${text.slice(0, -embedded[1].length)}${bytes.readUInt16BE(0).toString(16)}:${bytes.readUInt16BE(2).toString(16)}`;
+    }
+    const [head, tail] = text.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = tail === undefined
+        ? headGroups
+        : [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+    
+    const buffer = Buffer.alloc(16);
+    groups.forEach((group, index) => buffer.writeUInt16BE(parseInt(group, 16), index * 2));
+    return buffer;
+}
+
+// 生成PROXY协议头；缺少连接信息时发送 UNKNOWN (v1) 或 LOCAL (v2)，本地服务会改用连接本身的地址
+function encodeProxyHeader(version, info) {
+    const valid = Boolean(info) && net.isIP(info.remoteAddress) !== 0 && net.isIP(info.localAddress) !== 0
+        && Number.isInteger(info.remotePort) && Number.isInteger(info.localPort);
+    const ipv6 = valid && (net.isIPv6(info.remoteAddress) || net.isIPv6(info.localAddress));
+    
+    if (version === 'v1') {
+        if (!valid) {
+            return Buffer.from('PROXY UNKNOWN\r\n', 'ascii');
+        }
+        const format = address => (ipv6 && net.isIPv4(address) ? `::ffff:${address}` : address.split('%')[0]);
+        return Buffer.from(`PROXY ${ipv6 ? 'TCP6' : 'TCP4'} ${format(info.remoteAddress)} ${format(info.localAddress)} ${info.remotePort} ${info.localPort}\r\n`, 'ascii');
+    }
+    
+    // v2: [签名 12字节][版本和命令 1字节][地址族和协议 1字节][地址长度 2字节][源地址][目标地址][源端口][目标端口]
+    const header = Buffer.alloc(16);
+    PROXY_V2_SIGNATURE.copy(header, 0);
+    if (!valid) {
+        header[12] = 0x20; // 版本2，LOCAL命令，不带地址
+        return header;
+    }
+    
+    const size = ipv6 ? 16 : 4;
+    const addresses = Buffer.alloc(size * 2 + 4);
+    ipToBuffer(info.remoteAddress, ipv6).copy(addresses, 0);
+    ipToBuffer(info.localAddress, ipv6).copy(addresses, size);
+    addresses.writeUInt16BE(info.remotePort, size * 2);
+    addresses.writeUInt16BE(info.localPort, size * 2 + 2);
+    header[12] = 0x21; // 版本2，PROXY命令
+    header[13] = ipv6 ? 0x21 : 0x11; // TCP over IPv6 / IPv4
+    header.writeUInt16BE(addresses.length, 14);
+    return Buffer.concat([header, addresses]);
+}
+
+// ==================== 带宽限制 ====================
+// 映射的上行（服务器发往本地服务，即玩家发出的数据）和下行（本地服务发往服务器）各有一个令牌桶，
+// 由该映射的所有TCP连接和多路复用流共享。限速单位为字节/秒，0 表示不限速；修改映射后立即生效
+
+// 令牌桶容量为一秒的流量。允许透支，透支时返回需要暂停读取的毫秒数；同时统计最近一秒的实际速率
+function createTokenBucket() {
+    const now = Date.now();
+    return { tokens: null, updatedAt: now, windowStart: now, windowBytes: 0, rate: 0, throttledAt: 0 };
+}
+
+function takeTokens(bucket, limit, bytes) {
+    const now = Date.now();
+    bucket.windowBytes += bytes;
+    if (now - bucket.windowStart >= 1000) {
+        bucket.rate = Math.round(bucket.windowBytes * 1000 / (now - bucket.windowStart));
+        bucket.windowStart = now;
+        bucket.windowBytes = 0;
+    }
+    
+    if (!limit) {
+        bucket.tokens = null;
+        return 0;
+    }
+    const available = bucket.tokens === null ? limit : bucket.tokens + (now - bucket.updatedAt) * limit / 1000;
+    bucket.updatedAt = now;
+    bucket.tokens = Math.min(available, limit) - bytes;
+    if (bucket.tokens >= 0) return 0;
+    
+    bucket.throttledAt = now;
+    return Math.ceil(-bucket.tokens * 1000 / limit);
+}
+
+// 限速值、最近一秒的实际速率，以及最近是否因限速暂停过读取
+function describeTokenBucket(bucket, limit) {
+    const now = Date.now();
+    return {
+        limit,
+        rate: now - bucket.windowStart < 2000 ? bucket.rate : 0,
+        throttled: now - bucket.throttledAt < 2000
+    };
+}
+
+// 从当前配置读取映射的限速，结果缓存在连接池的 bandwidthLimits 上，转发数据时不再查找配置
+function getMappingBandwidthLimits(mappingId) {
+    const mapping = config.portMappings.find(item => item.id === mappingId);
+    const bandwidth = mapping && isPlainObject(mapping.bandwidth) ? mapping.bandwidth : {};
+    return {
+        upstream: bandwidth.upstream || 0,
+        downstream: bandwidth.downstream || 0
+    };
+}
+
+// 编辑映射或更新配置后刷新运行中映射的限速缓存，无需重启即可生效
+function refreshMappingBandwidthLimits() {
+    connectionPools.forEach((pool, mappingId) => {
+        pool.bandwidthLimits = getMappingBandwidthLimits(mappingId);
+    });
+}
+
+// 记录映射某个方向上转发的数据，返回需要暂停读取的毫秒数
+function takeMappingBandwidth(pool, direction, bytes) {
+    return takeTokens(pool.bandwidth[direction], pool.bandwidthLimits[direction], bytes);
+}
+
+function getMappingBandwidthInfo(pool) {
+    const limits = pool.bandwidthLimits;
+    return {
+        upstream: describeTokenBucket(pool.bandwidth.upstream, limits.upstream),
+        downstream: describeTokenBucket(pool.bandwidth.downstream, limits.downstream)
+    };
+}
+
+// ==================== 隧道压缩 ====================
+// 映射开启 compression 后，普通连接和多路复用流在隧道上以 deflate/brotli 流压缩传输，每次写入后立即刷新。
+// 压缩只作用于客户端与服务器之间，本地服务和玩家收发的仍是原始数据；UDP隧道不压缩
+const BROTLI_QUALITY = 5; // brotli 默认的11级过于消耗CPU
+const BROTLI_WINDOW_BITS = 18; // 限制窗口以控制每个连接的内存占用
+
+// 创建一对压缩、解压流
+function createCompressionStreams(algorithm) {
+    if (algorithm === 'brotli') {
+        return {
+            compressor: zlib.createBrotliCompress({
+                flush: zlib.constants.BROTLI_OPERATION_FLUSH,
+                params: {
+                    [zlib.constants.BROTLI_PARAM_QUALITY]: BROTLI_QUALITY,
+                    [zlib.constants.BROTLI_PARAM_LGWIN]: BROTLI_WINDOW_BITS
+                }
+            }),
+            decompressor: zlib.createBrotliDecompress()
+        };
+    }
+    return {
+        compressor: zlib.createDeflateRaw({ flush: zlib.constants.Z_SYNC_FLUSH }),
+        decompressor: zlib.createInflateRaw()
+    };
+}
+
+// 在隧道连接上启用压缩：写入 compressor 的数据压缩后发往隧道，隧道收到的数据解压后从 decompressor 读出。
+// counters 中的每个统计对象都会累计原始字节数（rawBytes）和隧道上实际传输的字节数（compressedBytes）
+function attachTunnelCompression(tunnelSocket, algorithm, counters) {
+    const { compressor, decompressor } = createCompressionStreams(algorithm);
+    const count = (rawBytes, compressedBytes) => {
+        counters.forEach(counter => {
+            counter.rawBytes += rawBytes;
+            counter.compressedBytes += compressedBytes;
+        });
+    };
+    
+    // 每次写入都会刷新输出，bytesWritten 的增量即这段输出对应的原始字节数
+    let compressedInput = 0;
+    // 两个方向都遵循背压：隧道写满时暂停压缩输出，解压跟不上时暂停读取隧道
+    compressor.on('data', (chunk) => {
+        count(compressor.bytesWritten - compressedInput, chunk.length);
+        compressedInput = compressor.bytesWritten;
+        if (!tunnelSocket.destroyed && !tunnelSocket.write(chunk)) {
+            compressor.pause();
+            tunnelSocket.once('drain', () => compressor.resume());
+        }
+    });
+    decompressor.on('data', (chunk) => count(chunk.length, 0));
+    
+    const push = (chunk) => {
+        count(0, chunk.length);
+        if (!decompressor.write(chunk)) {
+            tunnelSocket.pause();
+            decompressor.once('drain', () => tunnelSocket.resume());
+        }
+    };
+    tunnelSocket.on('data', push);
+    // 隧道结束时解压流输出剩余数据后结束，压缩流结束后再结束隧道
+    tunnelSocket.on('end', () => decompressor.end());
+    compressor.on('end', () => tunnelSocket.end());
+    
+    // 数据损坏等错误按隧道连接出错处理
+    const onError = (error) => tunnelSocket.destroy(new Error(`${algorithm}压缩流错误: ${error.message}`));
+    compressor.on('error', onError);
+    decompressor.on('error', onError);
+    
+    return {
+        compressor,
+        decompressor,
+        push,
+        close() {
+            tunnelSocket.removeListener('data', push);
+            compressor.destroy();
+            decompressor.destroy();
+        }
+    };
+}
+
+// 返回服务器确认的压缩算法，映射要求压缩而服务器未确认时提示一次，连接照常不压缩传输
+function getAcceptedCompression(mapping, pool, accepted) {
+    if (!mapping.compression) return null;
+    if (accepted.compression === mapping.compression) return accepted.compression;
+    
+    if (!pool.compressionWarned) {
+        pool.compressionWarned = true;
+        broadcastLog('warning', `服务器不支持隧道压缩，映射 ${mapping.name} 将不压缩传输`);
+    }
+    return null;
+}
+
+// 在空闲连接上定期发送心跳，下次发送时上一次心跳仍未应答则判定连接已断开，关闭后由连接池补充。
+// 间隔不超过服务端空闲超时的三分之一，映射停止后关闭遗留的空闲连接
+function startIdleHeartbeat(proxySocket, mapping, pool, serverTimeout) {
+    const interval = serverTimeout ? Math.min(HEARTBEAT_INTERVAL, Math.floor(serverTimeout / 3)) : HEARTBEAT_INTERVAL;
+    let seq = 0;
+    let pending = null; // 等待应答的心跳 { seq, sentAt }
+    
+    const beat = () => {
+        if (connectionPools.get(mapping.id) !== pool) {
+            proxySocket.destroy();
+            return;
+        }
+        if (pending) {
+            pool.heartbeat.timeouts++;
+            proxySocket.destroy(new Error(`心跳 ${interval / 1000} 秒内未应答，连接已断开`));
+            return;
+        }
+        
+        seq = (seq + 1) >>> 0;
+        pending = { seq, sentAt: Date.now() };
+        const rtt = pool.heartbeat.rtt;
+        proxySocket.write(encodeFrame(FrameType.PING, seq, rtt !== null ? Buffer.from(JSON.stringify({ rtt }), 'utf8') : undefined));
+    };
+    
+    const timer = setInterval(beat, interval);
+    proxySocket.once('close', () => clearInterval(timer));
+    beat();
+    
+    return {
+        receive(id) {
+            if (!pending || pending.seq !== id) return;
+            pool.heartbeat.rtt = Date.now() - pending.sentAt;
+            pool.heartbeat.lastSeen = new Date();
+            pending = null;
+        },
+        stop() {
+            clearInterval(timer);
+        }
+    };
+}
+
+// 创建映射连接
+function createMappingConnection(mapping) {
+    if (!shouldMaintainConnection || !activeMappings.has(mapping.id)) {
+        return;
+    }
+    
+    const pool = connectionPools.get(mapping.id);
+    if (!pool) return;
+    
+    const totalConnections = pool.activeConnections + pool.idleConnections;
+    if (totalConnections >= getMappingPoolLimits(mapping.id).maxTotalConnections) {
+        return;
+    }
+    
+    const connId = ++connectionId;
+    connectionStats.totalConnections++;
+    pool.idleConnections++;
+    pool.connecting++;
+    
+    broadcastLog('info', `为映射 ${mapping.name} 创建新连接 (ID: ${connId})`);
+    
+    // 连接到公网服务器
+    const proxySocket = connectToProxyServer();
+    
+    // 认证完成或连接关闭后不再计入建立中的连接
+    let connecting = true;
+    const settleConnecting = () => {
+        if (connecting) {
+            connecting = false;
+            pool.connecting--;
+        }
+    };
+    proxySocket.once('close', settleConnecting);
+    
+    const connectionRecord = {
+        id: connId,
+        mappingId: mapping.id,
+        startTime: new Date(),
+        status: 'connecting',
+        proxyConnected: false,
+        localConnected: false,
+        bytesTransferred: 0,
+        bufferedBytes: 0,
+        errors: []
+    };
+    
+    connectionHistory.push(connectionRecord);
+    
+    proxySocket.on(TLS_CONFIG.enabled ? 'secureConnect' : 'connect', async () => {
+        // 启用TLS时先校验服务器证书，防止凭据和数据被中间人截获
+        if (TLS_CONFIG.enabled) {
+            const certError = verifyServerCertificate(proxySocket);
+            if (certError) {
+                proxySocket.destroy(new Error(certError));
+                return;
+            }
+        }
+        
+        // 完成认证握手后才加入服务端空闲池，需要发送PROXY协议头时请求外部连接信息
+        let initialData;
+        let accepted;
+        try {
+            ({ remainder: initialData, accepted } = await performTunnelHandshake(
+                proxySocket, mapping.publicPort, 'pool', {
+                    heartbeat: true,
+                    ...(mapping.proxyProtocol ? { connectionInfo: true } : {}),
+                    ...(mapping.compression ? { compression: mapping.compression } : {})
+                }
+            ));
+        } catch (error) {
+            proxySocket.destroy(error);
+            return;
+        }
+        settleConnecting();
+        
+        // 服务端在转发数据前先发送一个 STREAM_OPEN 帧，携带外部连接信息；启用心跳时空闲期间还会收到 PONG，
+        // 收到 STREAM_OPEN 后回送确认，服务端收到确认才开始转发
+        const heartbeat = accepted.heartbeat === true ? startIdleHeartbeat(proxySocket, mapping, pool, accepted.heartbeatTimeout) : null;
+        let externalInfo = null;
+        const infoDecoder = accepted.connectionInfo === true || heartbeat ? createFrameDecoder((frame) => {
+            if (frame.type === FrameType.PONG && heartbeat) {
+                heartbeat.receive(frame.id);
+                return true;
+            }
+            if (frame.type !== FrameType.STREAM_OPEN) {
+                throw new Error(`意外的帧类型: ${frame.type}`);
+            }
+            externalInfo = parseJsonPayload(frame);
+            if (heartbeat) {
+                heartbeat.stop();
+                proxySocket.write(encodeFrame(FrameType.STREAM_OPEN, 0));
+            }
+            return false;
+        }) : null;
+        if (mapping.proxyProtocol && accepted.connectionInfo !== true && !pool.connectionInfoWarned) {
+            pool.connectionInfoWarned = true;
+            broadcastLog('warning', `服务器不提供外部连接信息，映射 ${mapping.name} 的PROXY协议头将不含玩家地址`);
+        }
+        const compression = getAcceptedCompression(mapping, pool, accepted);
+        
+        broadcastLog('success', `连接 ${connId} 已连接到代理服务器并通过认证`);
+        connectionRecord.proxyConnected = true;
+        connectionRecord.status = 'connected';
+        connectionRecord.heartbeat = heartbeat !== null;
+        pool.idleSockets.set(proxySocket, connectionRecord);
+        connectionStats.successfulConnections++;
+        connectionStats.lastActivity = new Date();
+        
+        // 检查连接健康状态
+        checkConnectionHealth();
+        
+        // 等待外部连接数据
+        proxySocket.on('data', (data) => {
+            if (!connectionRecord.localConnected) {
+                if (infoDecoder && !externalInfo) {
+                    try {
+                        infoDecoder.push(data);
+                    } catch (error) {
+                        proxySocket.destroy(error);
+                        return;
+                    }
+                    if (!externalInfo) return;
+                    data = infoDecoder.takeRemainder();
+                }
+                
+                // 建立到本地服务的连接，连接建立前暂停读取，避免期间到达的数据丢失
+                const localSocket = net.connect(mapping.localPort, mapping.localHost);
+                connectionRecord.localConnected = true;
+                pool.idleSockets.delete(proxySocket);
+                pool.idleConnections--;
+                pool.activeConnections++;
+                recordConnectionArrival(pool);
+                proxySocket.pause();
+                
+                localSocket.on('connect', () => {
+                    localSocket.removeListener('error', onLocalConnectError);
+                    broadcastLog('success', `连接 ${connId} 已连接到本地服务 ${mapping.localHost}:${mapping.localPort}`);
+                    
+                    // 更新连接健康状态
+                    checkConnectionHealth();
+                    
+                    if (mapping.proxyProtocol) {
+                        localSocket.write(encodeProxyHeader(mapping.proxyProtocol, externalInfo));
+                    }
+                    
+                    // 协商了压缩的连接经压缩流读写隧道
+                    const codec = compression
+                        ? attachTunnelCompression(proxySocket, compression, [connectionStats.compression, pool.compression])
+                        : null;
+                    const tunnelReader = codec ? codec.decompressor : proxySocket;
+                    const tunnelWriter = codec ? codec.compressor : proxySocket;
+                    
+                    // 转发首次接收到的数据
+                    if (data.length > 0) {
+                        if (codec) {
+                            codec.push(data);
+                        } else {
+                            localSocket.write(data);
+                        }
+                    }
+                    
+                    const updateBufferedBytes = () => {
+                        connectionRecord.bufferedBytes = localSocket.writableLength + tunnelWriter.writableLength +
+                            (codec ? proxySocket.writableLength : 0);
+                    };
+                    
+                    // 目标写满或超出映射的带宽限制时暂停读取来源，所有暂停原因都解除后再恢复
+                    const forwardData = (source, target, direction, bandwidthDirection) => {
+                        let blockers = 0;
+                        const block = () => {
+                            if (blockers++ === 0) source.pause();
+                        };
+                        const unblock = () => {
+                            updateBufferedBytes();
+                            if (--blockers === 0 && !source.destroyed) source.resume();
+                        };
+                        
+                        return (data) => {
+                            if (!target.destroyed) {
+                                if (!target.write(data)) {
+                                    block();
+                                    target.once('drain', unblock);
+                                }
+                                const delay = takeMappingBandwidth(pool, bandwidthDirection, data.length);
+                                if (delay > 0) {
+                                    block();
+                                    setTimeout(unblock, delay);
+                                }
+                                updateBufferedBytes();
+                                connectionRecord.bytesTransferred += data.length;
+                                connectionStats.totalDataTransferred += data.length;
+                                connectionStats.lastActivity = new Date();
+                            }
+                        };
+                    };
+                    
+                    // 建立双向数据转发
+                    const forwardProxyToLocal = forwardData(tunnelReader, localSocket, 'proxy->local', 'upstream');
+                    const forwardLocalToProxy = forwardData(localSocket, tunnelWriter, 'local->proxy', 'downstream');
+                    
+                    tunnelReader.on('data', forwardProxyToLocal);
+                    localSocket.on('data', forwardLocalToProxy);
+                    proxySocket.resume();
+                    
+                    const cleanup = () => {
+                        if (pool.activeConnections > 0) {
+                            pool.activeConnections--;
+                        }
+                        connectionRecord.status = 'closed';
+                        
+                        // 移除事件监听器
+                        tunnelReader.removeListener('data', forwardProxyToLocal);
+                        localSocket.removeListener('data', forwardLocalToProxy);
+                        if (codec) {
+                            codec.close();
+                        }
+                        
+                        // 关闭连接
+                        if (!proxySocket.destroyed) proxySocket.destroy();
+                        if (!localSocket.destroyed) localSocket.destroy();
+                        
+                        broadcastLog('info', `连接 ${connId} 已关闭`);
+                        
+                        // 检查连接健康状态
+                        checkConnectionHealth();
+                        
+                        // 按目标数补充空闲连接；有控制通道且到达速率较低时由服务端按需请求，不再立即补充
+                        if (shouldMaintainConnection && activeMappings.has(mapping.id)) {
+                            setTimeout(() => {
+                                if (connectionPools.get(mapping.id) === pool) {
+                                    adjustMappingPool(mapping, pool);
+                                }
+                            }, 1000);
+                        }
+                    };
+                    
+                    proxySocket.on('close', cleanup);
+                    proxySocket.on('error', cleanup);
+                    localSocket.on('close', cleanup);
+                    localSocket.on('error', cleanup);
+                });
+                
+                // 连接本地服务失败。该连接在匹配时已从空闲转为活跃，这里只减少活跃连接数；连接建立后的错误由 cleanup 处理
+                const onLocalConnectError = (err) => {
+                    broadcastLog('error', `连接 ${connId} 本地连接失败: ${err.message}`);
+                    connectionRecord.errors.push(err.message);
+                    connectionRecord.status = 'closed';
+                    if (pool.activeConnections > 0) {
+                        pool.activeConnections--;
+                    }
+                    if (!proxySocket.destroyed) proxySocket.destroy();
+                    
+                    // 检查连接健康状态
+                    checkConnectionHealth();
+                    
+                    // 重试连接
+                    setTimeout(() => {
+                        if (shouldMaintainConnection && activeMappings.has(mapping.id)) {
+                            connectionStats.reconnectAttempts++;
+                            createMappingConnection(mapping);
+                        }
+                    }, pool.reconnectDelay);
+                };
+                localSocket.on('error', onLocalConnectError);
+            }
+        });
+        
+        // 空闲期间被服务端关闭（如心跳超时、端口被移除）时补充新连接，出错的连接由 error 处理，
+        // 超出目标数而被关闭的连接不再补充
+        proxySocket.on('close', () => {
+            if (connectionRecord.localConnected || connectionRecord.status === 'failed') {
+                return;
+            }
+            const trimmed = connectionRecord.status === 'closed';
+            pool.idleSockets.delete(proxySocket);
+            connectionRecord.status = 'closed';
+            if (pool.idleConnections > 0) {
+                pool.idleConnections--;
+            }
+            checkConnectionHealth();
+            if (trimmed) {
+                return;
+            }
+            
+            setTimeout(() => {
+                if (shouldMaintainConnection && activeMappings.has(mapping.id)) {
+                    createMappingConnection(mapping);
+                }
+            }, pool.reconnectDelay);
+        });
+        
+        // 处理与认证响应一同到达的数据并恢复读取，已开始连接本地服务时等连接建立后再恢复
+        if (initialData.length > 0) {
+            proxySocket.emit('data', initialData);
+        }
+        if (!connectionRecord.localConnected) {
+            proxySocket.resume();
+        }
+    });
+    
+    proxySocket.on('error', (err) => {
+        broadcastLog('error', `连接 ${connId} 代理连接失败: ${err.message}`);
+        connectionRecord.errors.push(err.message);
+        connectionRecord.status = 'failed';
+        connectionStats.failedConnections++;
+        pool.idleSockets.delete(proxySocket);
+        
+        if (pool.idleConnections > 0) {
+            pool.idleConnections--;
+        }
+        
+        // 检查是否所有连接都失败了
+        checkConnectionHealth();
+        
+        // 重连延迟
+        setTimeout(() => {
+            if (shouldMaintainConnection && activeMappings.has(mapping.id)) {
+                connectionStats.reconnectAttempts++;
+                createMappingConnection(mapping);
+            }
+        }, pool.reconnectDelay);
+    });
+    
+    broadcastStats();
+}
+
+// ==================== 会话隧道 ====================
+// 多路复用和UDP转发不使用连接池，而是为映射各维护一条专用隧道连接（认证时分别声明 mux、udp 模式），
+// 隧道内的流或UDP会话由服务端按ID打开，客户端收到后再连接本地服务。
+// 使用连接池的映射另外维护一条控制通道（control 模式），用于接收服务端的连接请求
+const SESSION_TUNNEL_MODES = {
+    mux: { name: '多路复用隧道', poolFlag: 'multiplexed', handleFrame: handleMuxFrame },
+    udp: { name: 'UDP隧道', poolFlag: 'udpTunnel', handleFrame: handleUdpFrame },
+    control: { name: '控制通道', poolFlag: 'controlChannel', handleFrame: handleControlFrame }
+};
+const sessionTunnels = new Map(Object.keys(SESSION_TUNNEL_MODES).map(mode => [mode, new Map()])); // mode -> (mappingId -> 隧道)
+
+// 维护映射的会话隧道，断开后按重连间隔重建
+function maintainSessionTunnel(mapping, mode) {
+    const { name, poolFlag, handleFrame } = SESSION_TUNNEL_MODES[mode];
+    const tunnels = sessionTunnels.get(mode);
+    const pool = connectionPools.get(mapping.id);
+    if (!pool || !shouldMaintainConnection || !activeMappings.has(mapping.id) || tunnels.has(mapping.id)) {
+        return;
+    }
+    
+    const connId = ++connectionId;
+    connectionStats.totalConnections++;
+    broadcastLog('info', `为映射 ${mapping.name} 建立${name} (ID: ${connId})`);
+    
+    const proxySocket = connectToProxyServer();
+    const tunnel = {
+        socket: proxySocket,
+        mapping,
+        channels: new Map(), // 流ID或UDP会话ID -> 控制对象
+        native: null,        // 原生UDP通道，仅UDP隧道使用
+        compression: null,   // 服务器确认的压缩算法，仅多路复用隧道使用
+        heartbeat: null,     // 心跳，仅控制通道使用
+        closed: false,
+        unsupported: false
+    };
+    tunnels.set(mapping.id, tunnel);
+    
+    const connectionRecord = {
+        id: connId,
+        mappingId: mapping.id,
+        startTime: new Date(),
+        status: 'connecting',
+        proxyConnected: false,
+        localConnected: false,
+        tunnelMode: mode,
+        bytesTransferred: 0,
+        errors: []
+    };
+    connectionHistory.push(connectionRecord);
+    
+    proxySocket.on(TLS_CONFIG.enabled ? 'secureConnect' : 'connect', async () => {
+        if (TLS_CONFIG.enabled) {
+            const certError = verifyServerCertificate(proxySocket);
+            if (certError) {
+                proxySocket.destroy(new Error(certError));
+                return;
+            }
+        }
+        
+        // UDP隧道可以额外请求原生UDP通道
+        const wantNativeUdp = mode === 'udp' && mapping.nativeUdp === true;
+        let initialData;
+        let accepted;
+        try {
+            ({ remainder: initialData, accepted } = await performTunnelHandshake(proxySocket, mapping.publicPort, mode, {
+                ...(wantNativeUdp ? { nativeUdp: true } : {}),
+                ...(mode === 'mux' && mapping.compression ? { compression: mapping.compression } : {})
+            }));
+        } catch (error) {
+            tunnel.unsupported = error.code === 'MODE_UNSUPPORTED';
+            proxySocket.destroy(error);
+            return;
+        }
+        
+        broadcastLog('success', `映射 ${mapping.name} 的${name}已建立 (ID: ${connId})`);
+        connectionRecord.proxyConnected = true;
+        connectionRecord.status = 'connected';
+        connectionStats.successfulConnections++;
+        connectionStats.lastActivity = new Date();
+        pool[poolFlag] = true;
+        checkConnectionHealth();
+        
+        if (mode === 'mux') {
+            tunnel.compression = getAcceptedCompression(mapping, pool, accepted);
+        }
+        if (wantNativeUdp) {
+            openNativeUdpChannel(tunnel, accepted.nativeUdp);
+        }
+        if (mode === 'control') {
+            tunnel.heartbeat = startIdleHeartbeat(proxySocket, mapping, pool, accepted.heartbeatTimeout);
+        }
+        
+        const decoder = createFrameDecoder(frame => handleFrame(tunnel, frame));
+        
+        const onData = (data) => {
+            try {
+                decoder.push(data);
+            } catch (error) {
+                broadcastLog('error', `映射 ${mapping.name} 的${name}协议错误: ${error.message}`);
+                proxySocket.destroy();
+            }
+        };
+        
+        proxySocket.on('data', onData);
+        if (initialData.length > 0) {
+            onData(initialData);
+        }
+        proxySocket.resume();
+    });
+    
+    proxySocket.on('error', (err) => {
+        broadcastLog('error', `${name} ${connId} 发生错误: ${err.message}`);
+        connectionRecord.errors.push(err.message);
+        connectionRecord.status = 'failed';
+        connectionStats.failedConnections++;
+    });
+    
+    proxySocket.on('close', () => {
+        tunnel.closed = true;
+        tunnels.delete(mapping.id);
+        if (tunnel.native) {
+            tunnel.native.close();
+        }
+        pool[poolFlag] = false;
+        if (connectionRecord.status !== 'failed') {
+            connectionRecord.status = 'closed';
+        }
+        tunnel.channels.forEach(channel => channel.remoteClose());
+        tunnel.channels.clear();
+        checkConnectionHealth();
+        
+        if (!shouldMaintainConnection || !activeMappings.has(mapping.id)) {
+            return;
+        }
+        
+        // 服务端不支持时：多路复用改用连接池，控制通道改为只按定时检查补充空闲连接，UDP隧道无法回退
+        if (tunnel.unsupported) {
+            if (mode === 'mux') {
+                broadcastLog('warning', `服务器不支持多路复用，映射 ${mapping.name} 改用连接池模式`);
+                maintainMappingConnections(mapping);
+                maintainSessionTunnel(mapping, 'control');
+            } else if (mode === 'control') {
+                broadcastLog('warning', `服务器不支持控制通道，映射 ${mapping.name} 只按定时检查补充空闲连接`);
+            } else {
+                broadcastLog('error', `服务器不支持UDP隧道，映射 ${mapping.name} 的UDP转发不可用，请升级服务端`);
+            }
+            return;
+        }
+        
+        setTimeout(() => {
+            connectionStats.reconnectAttempts++;
+            maintainSessionTunnel(mapping, mode);
+        }, pool.reconnectDelay);
+    });
+    
+    broadcastStats();
+}
+
+// ==================== 多路复用隧道 ====================
+// 映射开启 multiplex 后 TCP 连接全部经 mux 隧道转发，服务端为每个外部连接打开一个流，
+// 收到 STREAM_OPEN 后再连接本地服务。每个流有独立的发送窗口，对端消费数据后通过 STREAM_WINDOW 归还
+const MUX_INITIAL_WINDOW = 256 * 1024;
+const MUX_MAX_DATA_SIZE = 64 * 1024;
+const STREAM_DRAIN_TIMEOUT = 10000; // 一端关闭后等待另一端发完剩余数据的最长时间
+
+// 处理多路复用隧道的帧
+function handleMuxFrame(tunnel, frame) {
+    const stream = tunnel.channels.get(frame.id);
+    switch (frame.type) {
+        case FrameType.STREAM_OPEN:
+            acceptMuxStream(tunnel, frame.id, parseJsonPayload(frame));
+            break;
+        case FrameType.STREAM_DATA:
+            if (stream) stream.receive(frame.payload);
+            break;
+        case FrameType.STREAM_WINDOW:
+            if (stream && frame.payload.length >= 4) stream.grant(frame.payload.readUInt32BE(0));
+            break;
+        case FrameType.STREAM_CLOSE:
+            if (stream) stream.remoteClose();
+            break;
+        default:
+            throw new Error(`意外的多路复用帧类型: ${frame.type}`);
+    }
+}
+
+// 创建流并登记到会话，返回可像socket一样读写的Duplex流
+function createMuxStream(tunnel, streamId) {
+    const sendFrame = (type, payload) => {
+        if (!tunnel.closed && !tunnel.socket.destroyed) {
+            tunnel.socket.write(encodeFrame(type, streamId, payload));
+        }
+    };
+    
+    let sendWindow = MUX_INITIAL_WINDOW;
+    let pendingWrite = null; // 等待发送窗口的数据 { chunk, callback }
+    let pendingFinal = null; // 本端结束写入后等待剩余数据发出的回调
+    let unacknowledged = 0;  // 已收到但尚未归还窗口的字节数
+    let remoteClosed = false;
+    let closeSent = false;
+    let readEnded = false;
+    
+    const sendClose = () => {
+        if (!remoteClosed && !closeSent) {
+            closeSent = true;
+            sendFrame(FrameType.STREAM_CLOSE);
+        }
+    };
+    
+    const endRead = () => {
+        if (!readEnded) {
+            readEnded = true;
+            stream.push(null);
+        }
+    };
+    
+    // 在发送窗口允许的范围内分片发送，窗口耗尽时等待对端归还
+    const flush = () => {
+        while (pendingWrite && sendWindow > 0) {
+            const size = Math.min(pendingWrite.chunk.length, sendWindow, MUX_MAX_DATA_SIZE);
+            sendFrame(FrameType.STREAM_DATA, pendingWrite.chunk.subarray(0, size));
+            sendWindow -= size;
+            pendingWrite.chunk = pendingWrite.chunk.subarray(size);
+            if (pendingWrite.chunk.length === 0) {
+                const callback = pendingWrite.callback;
+                pendingWrite = null;
+                callback();
+            }
+        }
+        
+        // 剩余数据全部发出后才通知对端关闭。STREAM_CLOSE 关闭整个流，对端不会再发送数据
+        if (!pendingWrite && pendingFinal) {
+            const callback = pendingFinal;
+            pendingFinal = null;
+            sendClose();
+            endRead();
+            callback();
+        }
+    };
+    
+    // 对端关闭后本端的读取结束即自动结束写入
+    const stream = new Duplex({
+        allowHalfOpen: false,
+        read() {
+            // 数据被消费后归还窗口，攒够四分之一窗口再发送以减少帧数
+            if (unacknowledged >= MUX_INITIAL_WINDOW / 4) {
+                const increment = Buffer.alloc(4);
+                increment.writeUInt32BE(unacknowledged, 0);
+                unacknowledged = 0;
+                sendFrame(FrameType.STREAM_WINDOW, increment);
+            }
+        },
+        write(chunk, encoding, callback) {
+            // 对端已关闭时丢弃写入的数据
+            if (remoteClosed) {
+                callback();
+                return;
+            }
+            pendingWrite = { chunk, callback };
+            flush();
+        },
+        final(callback) {
+            pendingFinal = callback;
+            flush();
+        },
+        // 只有出错或强制关闭时才会在发送 STREAM_CLOSE 前销毁，此时未发出的数据直接丢弃
+        destroy(error, callback) {
+            tunnel.channels.delete(streamId);
+            sendClose();
+            pendingWrite = null;
+            pendingFinal = null;
+            callback(error);
+        }
+    });
+    
+    tunnel.channels.set(streamId, {
+        receive(data) {
+            if (readEnded) return;
+            unacknowledged += data.length;
+            stream.push(data);
+        },
+        grant(increment) {
+            sendWindow += increment;
+            flush();
+        },
+        // 对端关闭后已收到的数据仍可读完，等待发送窗口的数据不再发送
+        remoteClose() {
+            remoteClosed = true;
+            if (pendingWrite) {
+                const callback = pendingWrite.callback;
+                pendingWrite = null;
+                callback();
+            }
+            endRead();
+            flush();
+        }
+    });
+    return stream;
+}
+
+// 服务端打开新流时连接本地服务，连接成功后双向转发
+function acceptMuxStream(tunnel, streamId, info) {
+    const mapping = tunnel.mapping;
+    const pool = connectionPools.get(mapping.id);
+    const stream = createMuxStream(tunnel, streamId);
+    if (!pool) {
+        stream.destroy();
+        return;
+    }
+    
+    const connId = ++connectionId;
+    connectionStats.totalConnections++;
+    pool.activeConnections++;
+    
+    const connectionRecord = {
+        id: connId,
+        mappingId: mapping.id,
+        startTime: new Date(),
+        status: 'connecting',
+        proxyConnected: true,
+        localConnected: false,
+        multiplexed: true,
+        bytesTransferred: 0,
+        bufferedBytes: 0,
+        errors: []
+    };
+    connectionHistory.push(connectionRecord);
+    
+    broadcastLog('info', `流 ${connId} 已打开: ${formatEndpoint(info.remoteAddress, info.remotePort)} -> ${formatEndpoint(mapping.localHost, mapping.localPort)}`);
+    
+    const localSocket = net.connect(mapping.localPort, mapping.localHost);
+    
+    let closed = false;
+    let codec = null;
+    let drainTimer = null;
+    
+    const updateBufferedBytes = () => {
+        connectionRecord.bufferedBytes = localSocket.writableLength + stream.writableLength +
+            (codec ? codec.compressor.writableLength : 0);
+    };
+    
+    // 目标写满或超出映射的带宽限制时暂停读取来源，所有暂停原因都解除后再恢复；流的发送窗口耗尽时同样表现为写满
+    const forwardData = (source, target, bandwidthDirection) => {
+        let blockers = 0;
+        const block = () => {
+            if (blockers++ === 0) source.pause();
+        };
+        const unblock = () => {
+            updateBufferedBytes();
+            if (--blockers === 0 && !closed) source.resume();
+        };
+        
+        return (data) => {
+            if (!target.destroyed) {
+                if (!target.write(data)) {
+                    block();
+                    target.once('drain', unblock);
+                }
+                const delay = takeMappingBandwidth(pool, bandwidthDirection, data.length);
+                if (delay > 0) {
+                    block();
+                    setTimeout(unblock, delay);
+                }
+                updateBufferedBytes();
+                connectionRecord.bytesTransferred += data.length;
+                connectionStats.totalDataTransferred += data.length;
+                connectionStats.lastActivity = new Date();
+            }
+        };
+    };
+    const cleanup = () => {
+        if (closed) return;
+        closed = true;
+        clearTimeout(drainTimer);
+        
+        if (pool.activeConnections > 0) {
+            pool.activeConnections--;
+        }
+        connectionRecord.status = connectionRecord.localConnected ? 'closed' : 'failed';
+        
+        if (codec) codec.close();
+        if (!stream.destroyed) stream.destroy();
+        if (!localSocket.destroyed) localSocket.destroy();
+        
+        broadcastLog('info', `流 ${connId} 已关闭`);
+        checkConnectionHealth();
+    };
+    
+    // 本地连接建立前到达的数据暂存在流中
+    localSocket.on('connect', () => {
+        connectionRecord.localConnected = true;
+        connectionRecord.status = 'connected';
+        if (mapping.proxyProtocol) {
+            localSocket.write(encodeProxyHeader(mapping.proxyProtocol, info));
+        }
+        codec = tunnel.compression
+            ? attachTunnelCompression(stream, tunnel.compression, [connectionStats.compression, pool.compression])
+            : null;
+        const tunnelReader = codec ? codec.decompressor : stream;
+        const tunnelWriter = codec ? codec.compressor : stream;
+        tunnelReader.on('data', forwardData(tunnelReader, localSocket, 'upstream'));
+        localSocket.on('data', forwardData(localSocket, tunnelWriter, 'downstream'));
+        // 一方结束时把已读到的数据转发完再结束另一方
+        tunnelReader.on('end', () => localSocket.end());
+        localSocket.on('end', () => tunnelWriter.end());
+        checkConnectionHealth();
+    });
+    
+    localSocket.on('error', (err) => {
+        broadcastLog('error', `流 ${connId} 本地连接错误: ${err.message}`);
+        connectionRecord.errors.push(err.message);
+        cleanup();
+    });
+    
+    // 正常关闭的一端等另一端发完剩余数据自行关闭，超时后再强制清理
+    const finish = (other) => {
+        if (other.destroyed || !connectionRecord.localConnected) {
+            cleanup();
+        } else if (!drainTimer) {
+            drainTimer = setTimeout(cleanup, STREAM_DRAIN_TIMEOUT);
+        }
+    };
+    localSocket.on('close', () => finish(stream));
+    stream.on('close', () => finish(localSocket));
+}
+
+// ==================== UDP隧道 ====================
+// UDP映射的数据报经 udp 隧道以 UDP_DATA 帧传输，由帧解码器处理粘包和拆包。服务端为每个外部地址打开一个会话，
+// 客户端为每个会话使用独立的本地UDP套接字，本地服务看到的来源端口与外部玩家一一对应，响应按会话ID发回
+
+// 处理UDP隧道的帧
+function handleUdpFrame(tunnel, frame) {
+    const session = tunnel.channels.get(frame.id);
+    switch (frame.type) {
+        case FrameType.UDP_OPEN:
+            acceptUdpSession(tunnel, frame.id, parseJsonPayload(frame));
+            break;
+        case FrameType.UDP_DATA:
+            if (session) session.receive(frame.payload);
+            break;
+        case FrameType.UDP_CLOSE:
+            if (session) session.remoteClose();
+            break;
+        default:
+            throw new Error(`意外的UDP隧道帧类型: ${frame.type}`);
+    }
+}
+
+const LOCAL_UDP_PENDING_LIMIT = 16; // 本地主机解析完成前每个会话最多暂存的数据报
+
+// 服务端打开UDP会话时创建本地UDP套接字，会话空闲超时由服务端判定并发送 UDP_CLOSE
+function acceptUdpSession(tunnel, sessionId, info) {
+    const mapping = tunnel.mapping;
+    const pool = connectionPools.get(mapping.id);
+    const sendFrame = (type, payload) => {
+        if (!tunnel.closed && !tunnel.socket.destroyed) {
+            tunnel.socket.write(encodeFrame(type, sessionId, payload));
+        }
+    };
+    if (!pool) {
+        sendFrame(FrameType.UDP_CLOSE);
+        return;
+    }
+    
+    const connId = ++connectionId;
+    connectionStats.totalConnections++;
+    pool.activeConnections++;
+    
+    const connectionRecord = {
+        id: connId,
+        mappingId: mapping.id,
+        startTime: new Date(),
+        status: 'connected',
+        proxyConnected: true,
+        localConnected: true,
+        isUDP: true,
+        bytesTransferred: 0,
+        errors: []
+    };
+    connectionHistory.push(connectionRecord);
+    
+    broadcastLog('info', `UDP会话 ${connId} 已打开: ${formatEndpoint(info.remoteAddress, info.remotePort)} -> ${formatEndpoint(mapping.localHost, mapping.localPort)}`);
+    
+    let localUdpClient = null;
+    let localAddress = null;
+    const pendingDatagrams = [];
+    
+    let closed = false;
+    const close = (notify) => {
+        if (closed) return;
+        closed = true;
+        
+        tunnel.channels.delete(sessionId);
+        if (notify) {
+            sendFrame(FrameType.UDP_CLOSE);
+        }
+        if (localUdpClient) {
+            localUdpClient.close();
+        }
+        
+        if (pool.activeConnections > 0) {
+            pool.activeConnections--;
+        }
+        connectionRecord.status = 'closed';
+        broadcastLog('info', `UDP会话 ${connId} 已关闭`);
+        checkConnectionHealth();
+    };
+    
+    const forward = (data) => {
+        localUdpClient.send(data, mapping.localPort, localAddress, (err) => {
+            if (err) {
+                broadcastLog('error', `UDP会话 ${connId} 转发到本地失败: ${err.message}`);
+            }
+        });
+    };
+    
+    // 本地主机可以是只解析到IPv6的主机名，解析完成前收到的数据报先暂存
+    createUdpSocketFor(mapping.localHost, (err, socket, address) => {
+        if (err) {
+            broadcastLog('error', `UDP会话 ${connId} 无法解析本地主机 ${mapping.localHost}: ${err.message}`);
+            connectionRecord.errors.push(err.message);
+            close(true);
+            return;
+        }
+        if (closed) {
+            socket.close();
+            return;
+        }
+        localUdpClient = socket;
+        localAddress = address;
+        
+        // 本地服务的响应按会话ID发回服务端
+        localUdpClient.on('message', (msg) => {
+            sendTunnelDatagram(tunnel, sessionId, msg);
+            connectionRecord.bytesTransferred += msg.length;
+            connectionStats.totalDataTransferred += msg.length;
+            connectionStats.lastActivity = new Date();
+        });
+        
+        localUdpClient.on('error', (err) => {
+            broadcastLog('error', `UDP会话 ${connId} 本地套接字错误: ${err.message}`);
+            connectionRecord.errors.push(err.message);
+            close(true);
+        });
+        
+        pendingDatagrams.splice(0).forEach(forward);
+    });
+    
+    tunnel.channels.set(sessionId, {
+        receive(data) {
+            if (localUdpClient) {
+                forward(data);
+            } else if (pendingDatagrams.length < LOCAL_UDP_PENDING_LIMIT) {
+                pendingDatagrams.push(data);
+            }
+            connectionRecord.bytesTransferred += data.length;
+            connectionStats.totalDataTransferred += data.length;
+            connectionStats.lastActivity = new Date();
+        },
+        remoteClose() {
+            close(false);
+        }
+    });
+    takeEarlyDatagrams(tunnel, sessionId).forEach(payload => tunnel.channels.get(sessionId).receive(payload));
+    checkConnectionHealth();
+}
+
+// ==================== 控制通道 ====================
+// 服务端的外部连接找不到空闲连接时经控制通道发送 DEMAND 说明等待数，客户端立即建立相应数量的连接，
+// 不必等到下一次定时检查。控制通道上同样发送心跳，服务端据此重发未满足的请求
+
+// 处理控制通道的帧
+function handleControlFrame(tunnel, frame) {
+    switch (frame.type) {
+        case FrameType.PONG:
+            tunnel.heartbeat.receive(frame.id);
+            break;
+        case FrameType.DEMAND: {
+            const mapping = tunnel.mapping;
+            const pool = connectionPools.get(mapping.id);
+            const { waiting } = parseJsonPayload(frame);
+            if (!pool || !Number.isInteger(waiting)) break;
+            
+            // 扣除仍在建立中的连接，它们通过认证后会依次匹配等待的外部连接
+            const limits = getMappingPoolLimits(mapping.id);
+            const count = Math.min(waiting - pool.connecting, limits.maxTotalConnections - pool.activeConnections - pool.idleConnections);
+            if (count <= 0) break;
+            
+            broadcastLog('info', `服务器请求映射 ${mapping.name} 补充连接: ${waiting} 个外部连接在等待，新建 ${count} 个连接`);
+            for (let i = 0; i < count; i++) {
+                createMappingConnection(mapping);
+            }
+            break;
+        }
+        default:
+            throw new Error(`意外的控制通道帧类型: ${frame.type}`);
     }
 }
 
-// 维护映射连接
-function maintainMappingConnections(mapping) {
-    const pool = connectionPools.get(mapping.id);
-    if (!pool || !shouldMaintainConnection || !activeMappings.has(mapping.id)) {
-        return;
-    }
+// ==================== 原生UDP通道 ====================
+// 映射开启 nativeUdp 后，UDP隧道认证时请求原生通道，服务端下发通道ID和密钥，之后数据报直接经UDP传输，避免TCP队头阻塞。
+// 定期发送保活包维持NAT映射并交换丢包统计，超过一定时间收不到服务端数据包时回退到TCP隧道，恢复后自动切回
+// 数据报格式: [类型1B][通道ID 4B][序号4B][会话ID 4B][负载][HMAC-SHA256前8字节]
+const NativeUdpType = {
+    KEEPALIVE: 0x01,     // 客户端 -> 服务端: 保活，负载为发送方的接收数和丢包数
+    KEEPALIVE_ACK: 0x02, // 服务端 -> 客户端: 保活应答，负载同上
+    DATA: 0x10           // 双向: 会话数据报，序号用于统计丢包
+};
+const NATIVE_UDP_HEADER_SIZE = 13;
+const NATIVE_UDP_TAG_SIZE = 8;
+const NATIVE_UDP_KEEPALIVE_INTERVAL = 5000;
+const NATIVE_UDP_TIMEOUT = 15000; // 超过该时间未收到服务端数据包视为通道不可用
+const NATIVE_UDP_EARLY_LIMIT = 16;  // 每个会话最多暂存的提前到达数据报
+const NATIVE_UDP_EARLY_TIMEOUT = 2000;
+
+function encodeNativeUdpPacket(channel, type, seq, sessionId, payload = Buffer.alloc(0)) {
+    const header = Buffer.alloc(NATIVE_UDP_HEADER_SIZE);
+    header.writeUInt8(type, 0);
+    header.writeUInt32BE(channel.id, 1);
+    header.writeUInt32BE(seq, 5);
+    header.writeUInt32BE(sessionId, 9);
+    const body = Buffer.concat([header, payload]);
+    const tag = crypto.createHmac('sha256', channel.key).update(body).digest().subarray(0, NATIVE_UDP_TAG_SIZE);
+    return Buffer.concat([body, tag]);
+}
+
+// 解码并校验原生UDP数据报，getKey 按通道ID返回密钥，格式错误或校验失败时返回 null
+function decodeNativeUdpPacket(packet, getKey) {
+    if (packet.length < NATIVE_UDP_HEADER_SIZE + NATIVE_UDP_TAG_SIZE) return null;
     
-    // 检查是否需要更多连接
-    if (pool.idleConnections < MIN_IDLE_CONNECTIONS) {
-        createMappingConnection(mapping);
-    }
+    const channelId = packet.readUInt32BE(1);
+    const key = getKey(channelId);
+    if (!key) return null;
     
-    // 设置下次检查
-    setTimeout(() => maintainMappingConnections(mapping), CONNECTION_CHECK_INTERVAL);
+    const bodyLength = packet.length - NATIVE_UDP_TAG_SIZE;
+    const expectedTag = crypto.createHmac('sha256', key).update(packet.subarray(0, bodyLength)).digest().subarray(0, NATIVE_UDP_TAG_SIZE);
+    if (!crypto.timingSafeEqual(expectedTag, packet.subarray(bodyLength))) return null;
+    
+    return {
+        type: packet.readUInt8(0),
+        channelId,
+        seq: packet.readUInt32BE(5),
+        sessionId: packet.readUInt32BE(9),
+        payload: packet.subarray(NATIVE_UDP_HEADER_SIZE, bodyLength)
+    };
 }
 
-// 创建映射连接
-function createMappingConnection(mapping) {
-    if (!shouldMaintainConnection || !activeMappings.has(mapping.id)) {
+// 按序号统计丢包：跳过的序号计为丢失。序号不大于已收到的最大序号的数据包可能是重放，返回false由调用方丢弃
+function recordNativeSequence(channel, seq) {
+    if (seq < channel.expectedSeq) return false;
+    channel.received++;
+    channel.lost += seq - channel.expectedSeq;
+    channel.expectedSeq = seq + 1;
+    return true;
+}
+
+// 保活包负载: [接收数4B][丢包数4B]，让对端得知其发出数据报的丢失情况
+function encodeLossReport(channel) {
+    const report = Buffer.alloc(8);
+    report.writeUInt32BE(channel.received >>> 0, 0);
+    report.writeUInt32BE(channel.lost >>> 0, 4);
+    return report;
+}
+
+function isNativeUdpActive(channel) {
+    return Boolean(channel && !channel.closed && Date.now() - channel.lastSeen < NATIVE_UDP_TIMEOUT);
+}
+
+function getNativeUdpInfo(mappingId) {
+    const tunnel = sessionTunnels.get('udp').get(mappingId);
+    if (!tunnel || !tunnel.native) return null;
+    
+    const channel = tunnel.native;
+    return {
+        active: isNativeUdpActive(channel),
+        sent: channel.sent,
+        received: channel.received,
+        lost: channel.lost,
+        peerReceived: channel.peerReceived,
+        peerLost: channel.peerLost
+    };
+}
+
+// 原生通道的数据报可能先于经TCP隧道发送的 UDP_OPEN 到达，暂存到会话打开时再转发
+function holdEarlyDatagram(channel, sessionId, payload) {
+    let queue = channel.early.get(sessionId);
+    if (!queue) {
+        queue = [];
+        channel.early.set(sessionId, queue);
+        setTimeout(() => channel.early.delete(sessionId), NATIVE_UDP_EARLY_TIMEOUT);
+    }
+    if (queue.length < NATIVE_UDP_EARLY_LIMIT) {
+        queue.push(payload);
+    }
+}
+
+function takeEarlyDatagrams(tunnel, sessionId) {
+    if (!tunnel.native) return [];
+    const queue = tunnel.native.early.get(sessionId) || [];
+    tunnel.native.early.delete(sessionId);
+    return queue;
+}
+
+// 向服务端发送会话数据报，原生通道可用时走UDP，否则经TCP隧道
+function sendTunnelDatagram(tunnel, sessionId, payload) {
+    const channel = tunnel.native;
+    if (isNativeUdpActive(channel)) {
+        channel.send(NativeUdpType.DATA, channel.sendSeq, sessionId, payload);
+        channel.sendSeq = (channel.sendSeq + 1) >>> 0;
+        channel.sent++;
         return;
     }
-    
-    const pool = connectionPools.get(mapping.id);
-    if (!pool) return;
-    
-    const totalConnections = pool.activeConnections + pool.idleConnections;
-    if (totalConnections >= MAX_TOTAL_CONNECTIONS) {
+    if (!tunnel.closed && !tunnel.socket.destroyed) {
+        tunnel.socket.write(encodeFrame(FrameType.UDP_DATA, sessionId, payload));
+    }
+}
+
+// 建立原生UDP通道，info 为服务端在认证响应中下发的通道信息，服务端未启用时为空
+function openNativeUdpChannel(tunnel, info) {
+    const mapping = tunnel.mapping;
+    if (!info) {
+        broadcastLog('warning', `服务器未启用原生UDP通道，映射 ${mapping.name} 的UDP继续经TCP隧道转发`);
         return;
     }
     
-    const connId = ++connectionId;
-    connectionStats.totalConnections++;
-    pool.idleConnections++;
-    
-    broadcastLog('info', `为映射 ${mapping.name} 创建新连接 (ID: ${connId})`);
-    
-    // 连接到公网服务器
-    const proxySocket = net.connect(PUBLIC_SERVER_PORT, PUBLIC_SERVER_IP);
+    let socket = null;
+    const channel = {
+        id: info.channel,
+        key: Buffer.from(info.key, 'base64'),
+        lastSeen: 0,
+        keepaliveSeq: 0,
+        sendSeq: 0,
+        expectedSeq: 0,
+        sent: 0,
+        received: 0,
+        lost: 0,
+        peerReceived: 0,
+        peerLost: 0,
+        early: new Map(), // sessionId -> 提前到达的数据报
+        connected: false,
+        closed: false
+    };
+    tunnel.native = channel;
     
-    const connectionRecord = {
-        id: connId,
-        mappingId: mapping.id,
-        startTime: new Date(),
-        status: 'connecting',
-        proxyConnected: false,
-        localConnected: false,
-        bytesTransferred: 0,
-        errors: []
+    // 套接字连接到服务端后只需解析一次地址，也只会收到服务端发来的数据报
+    channel.send = (type, seq, sessionId, payload) => {
+        socket.send(encodeNativeUdpPacket(channel, type, seq, sessionId, payload));
     };
     
-    connectionHistory.push(connectionRecord);
+    const sendKeepalive = () => {
+        if (channel.connected && !isNativeUdpActive(channel)) {
+            channel.connected = false;
+            broadcastLog('warning', `映射 ${mapping.name} 的原生UDP通道无响应，改用TCP隧道转发`);
+        } else if (!channel.connected && channel.keepaliveSeq === 3) {
+            broadcastLog('warning', `映射 ${mapping.name} 的原生UDP通道未连通（UDP可能被防火墙拦截），继续经TCP隧道转发`);
+        }
+        channel.keepaliveSeq = (channel.keepaliveSeq + 1) >>> 0;
+        channel.send(NativeUdpType.KEEPALIVE, channel.keepaliveSeq, 0, encodeLossReport(channel));
+    };
     
-    proxySocket.on('connect', () => {
-        broadcastLog('success', `连接 ${connId} 已连接到代理服务器`);
-        connectionRecord.proxyConnected = true;
-        connectionRecord.status = 'connected';
-        connectionStats.successfulConnections++;
-        connectionStats.lastActivity = new Date();
-        
-        // 检查连接健康状态
-        checkConnectionHealth();
+    const onPacket = (packet) => {
+        const message = decodeNativeUdpPacket(packet, channelId => (channelId === channel.id ? channel.key : null));
+        if (!message) return;
         
-        // 发送端口映射信息
-        const header = Buffer.alloc(4);
-        header.writeUInt32BE(mapping.publicPort, 0);
-        proxySocket.write(header);
+        channel.lastSeen = Date.now();
+        if (!channel.connected) {
+            channel.connected = true;
+            broadcastLog('success', `映射 ${mapping.name} 的原生UDP通道已连通`);
+        }
         
-        // 等待外部连接数据
-        proxySocket.on('data', (data) => {
-            // 检查是否是UDP数据包（包装格式：8字节头 + UDP数据）
-            if (data.length >= 8) {
-                // 读取客户端信息头
-                const clientIP = `${data.readUInt8(0)}.${data.readUInt8(1)}.${data.readUInt8(2)}.${data.readUInt8(3)}`;
-                const clientPort = data.readUInt16BE(4);
-                const udpDataLength = data.readUInt16BE(6);
-                
-                // 检查是否是UDP数据包（通过检查IP是否为0.0.0.0来区分UDP响应）
-                const isUdpResponse = (clientIP === '0.0.0.0' && clientPort === 0);
-                
-                if (!isUdpResponse && data.length >= 8 + udpDataLength && udpDataLength > 0) {
-                    // 这是一个来自外部的UDP数据包
-                    const udpData = data.slice(8, 8 + udpDataLength);
-                    
-                    broadcastLog('info', `收到UDP数据包，来自 ${clientIP}:${clientPort}，目标端口: ${mapping.localPort}，大小: ${udpDataLength}字节`);
-                    
-                    // 检查是否为L4D2映射（使用连接池）
-                    const isL4D2 = mapping.localPort === 27015 || mapping.name.toLowerCase().includes('l4d2');
-                    
-                    let localUdpClient;
-                    
-                    if (isL4D2) {
-                        // 使用L4D2连接池
-                        localUdpClient = getOrCreateL4D2UdpClient(mapping.id, clientIP, clientPort, mapping.localHost, mapping.localPort);
-                    } else {
-                        // 创建新的UDP客户端
-                        localUdpClient = dgram.createSocket('udp4');
-                    }
-                    
-                    // 设置接收响应的监听器
-                    let responseReceived = false;
-                    let responseTimeout = null;
-                    
-                    const handleResponse = (responseMsg, responseRinfo) => {
-                        if (responseReceived) return; // 防止重复处理
-                        responseReceived = true;
-                        
-                        // 清除超时定时器
-                        if (responseTimeout) {
-                            clearTimeout(responseTimeout);
-                            responseTimeout = null;
-                        }
-                        
-                        broadcastLog('success', `收到本地UDP响应，来自 ${responseRinfo.address}:${responseRinfo.port}，大小: ${responseMsg.length}字节`);
-                        
-                        // 包装响应数据，保持与服务端约定的格式一致
-                        const responseHeader = Buffer.alloc(8);
-                        // 前4字节：响应标识（设为0表示响应）
-                        responseHeader.writeUInt8(0, 0);
-                        responseHeader.writeUInt8(0, 1);
-                        responseHeader.writeUInt8(0, 2);
-                        responseHeader.writeUInt8(0, 3);
-                        // 第5-6字节：端口号（设为0）
-                        responseHeader.writeUInt16BE(0, 4);
-                        // 第7-8字节：数据长度
-                        responseHeader.writeUInt16BE(responseMsg.length, 6);
-                        
-                        const wrappedResponse = Buffer.concat([responseHeader, responseMsg]);
-                        
-                        // 通过TCP连接发送回代理服务器
-                        if (!proxySocket.destroyed) {
-                            proxySocket.write(wrappedResponse);
-                            connectionRecord.bytesTransferred += responseMsg.length;
-                            connectionStats.totalDataTransferred += responseMsg.length;
-                            broadcastLog('success', `UDP响应已发送回代理服务器，大小: ${responseMsg.length}字节`);
-                        }
-                        
-                        // 对于非L4D2连接，延迟关闭UDP客户端
-                        if (!isL4D2) {
-                            setTimeout(() => {
-                                if (!localUdpClient.destroyed) {
-                                    localUdpClient.close();
-                                }
-                            }, 500);
-                        }
-                    };
-                    
-                    // 如果是新创建的客户端，添加事件监听器
-                    if (!isL4D2 || !localUdpClient.listenerCount('message')) {
-                        localUdpClient.on('message', handleResponse);
-                        
-                        localUdpClient.on('error', (err) => {
-                            broadcastLog('error', `UDP本地客户端错误: ${err.message}`);
-                            responseReceived = true;
-                            if (responseTimeout) {
-                                clearTimeout(responseTimeout);
-                                responseTimeout = null;
-                            }
-                            if (!isL4D2 && !localUdpClient.destroyed) {
-                                localUdpClient.close();
-                            }
-                        });
-                    }
-                    
-                    // 转发UDP数据到本地服务器
-                    localUdpClient.send(udpData, mapping.localPort, mapping.localHost, (err) => {
-                        if (err) {
-                            broadcastLog('error', `UDP转发到本地失败: ${err.message}`);
-                            responseReceived = true;
-                            if (responseTimeout) {
-                                clearTimeout(responseTimeout);
-                                responseTimeout = null;
-                            }
-                            if (!isL4D2 && !localUdpClient.destroyed) {
-                                localUdpClient.close();
-                            }
-                        } else {
-                            broadcastLog('success', `UDP数据已转发到本地 ${mapping.localHost}:${mapping.localPort} ${isL4D2 ? '(L4D2连接池)' : ''}`);
-                            connectionRecord.bytesTransferred += udpDataLength;
-                            connectionStats.totalDataTransferred += udpDataLength;
-                            connectionStats.lastActivity = new Date();
-                        }
-                    });
-                    
-                    // 设置UDP响应超时（L4D2使用更长的超时时间）
-                    const timeoutDuration = isL4D2 ? 15000 : 5000; // L4D2用15秒，其他用5秒
-                    responseTimeout = setTimeout(() => {
-                        if (!responseReceived) {
-                            responseReceived = true;
-                            broadcastLog('warning', `UDP响应超时(${timeoutDuration/1000}秒)，${isL4D2 ? 'L4D2连接' : '关闭连接'} - 来自 ${clientIP}:${clientPort}`);
-                            if (!isL4D2 && !localUdpClient.destroyed) {
-                                localUdpClient.close();
-                            }
-                        }
-                    }, timeoutDuration);
-                    
-                    return; // UDP处理完成，直接返回
+        switch (message.type) {
+            case NativeUdpType.KEEPALIVE_ACK:
+                if (message.payload.length >= 8) {
+                    channel.peerReceived = message.payload.readUInt32BE(0);
+                    channel.peerLost = message.payload.readUInt32BE(4);
                 }
+                break;
+            case NativeUdpType.DATA: {
+                if (!recordNativeSequence(channel, message.seq)) break;
+                const session = tunnel.channels.get(message.sessionId);
+                if (session) {
+                    session.receive(message.payload);
+                } else {
+                    holdEarlyDatagram(channel, message.sessionId, message.payload);
+                }
+                break;
             }
-            
-            if (!connectionRecord.localConnected) {
-                // 原有的TCP连接处理逻辑
-                // 建立到本地服务的连接
-                const localSocket = net.connect(mapping.localPort, mapping.localHost);
-                connectionRecord.localConnected = true;
-                pool.idleConnections--;
-                pool.activeConnections++;
-                
-                localSocket.on('connect', () => {
-                    broadcastLog('success', `连接 ${connId} 已连接到本地服务 ${mapping.localHost}:${mapping.localPort}`);
-                    
-                    // 更新连接健康状态
-                    checkConnectionHealth();
-                    
-                    // 转发首次接收到的数据
-                    localSocket.write(data);
-                    
-                    const forwardData = (source, target, direction) => {
-                        return (data) => {
-                            if (!target.destroyed) {
-                                target.write(data);
-                                connectionRecord.bytesTransferred += data.length;
-                                connectionStats.totalDataTransferred += data.length;
-                                connectionStats.lastActivity = new Date();
-                            }
-                        };
-                    };
-                    
-                    // 建立双向数据转发
-                    const forwardProxyToLocal = forwardData(proxySocket, localSocket, 'proxy->local');
-                    const forwardLocalToProxy = forwardData(localSocket, proxySocket, 'local->proxy');
-                    
-                    proxySocket.on('data', forwardProxyToLocal);
-                    localSocket.on('data', forwardLocalToProxy);
-                    
-                    const cleanup = () => {
-                        if (pool.activeConnections > 0) {
-                            pool.activeConnections--;
-                        }
-                        connectionRecord.status = 'closed';
-                        
-                        // 移除事件监听器
-                        proxySocket.removeListener('data', forwardProxyToLocal);
-                        localSocket.removeListener('data', forwardLocalToProxy);
-                        
-                        // 关闭连接
-                        if (!proxySocket.destroyed) proxySocket.destroy();
-                        if (!localSocket.destroyed) localSocket.destroy();
-                        
-                        broadcastLog('info', `连接 ${connId} 已关闭`);
-                        
-                        // 检查连接健康状态
-                        checkConnectionHealth();
-                        
-                        // 创建新的空闲连接来替代
-                        if (shouldMaintainConnection && activeMappings.has(mapping.id)) {
-                            setTimeout(() => createMappingConnection(mapping), 1000);
-                        }
-                    };
-                    
-                    proxySocket.on('close', cleanup);
-                    proxySocket.on('error', cleanup);
-                    localSocket.on('close', cleanup);
-                    localSocket.on('error', cleanup);
-                });
-                
-                localSocket.on('error', (err) => {
-                    broadcastLog('error', `连接 ${connId} 本地连接失败: ${err.message}`);
-                    connectionRecord.errors.push(err.message);
-                    pool.idleConnections--;
-                    if (!proxySocket.destroyed) proxySocket.destroy();
-                    
-                    // 检查连接健康状态
-                    checkConnectionHealth();
-                    
-                    // 重试连接
-                    setTimeout(() => {
-                        if (shouldMaintainConnection && activeMappings.has(mapping.id)) {
-                            connectionStats.reconnectAttempts++;
-                            createMappingConnection(mapping);
-                        }
-                    }, pool.reconnectDelay);
-                });
-            }
-        });
-    });
+            default:
+                break;
+        }
+    };
     
-    proxySocket.on('error', (err) => {
-        broadcastLog('error', `连接 ${connId} 代理连接失败: ${err.message}`);
-        connectionRecord.errors.push(err.message);
-        connectionRecord.status = 'failed';
-        connectionStats.failedConnections++;
-        
-        if (pool.idleConnections > 0) {
-            pool.idleConnections--;
+    let keepaliveTimer = null;
+    channel.close = () => {
+        if (channel.closed) return;
+        channel.closed = true;
+        clearInterval(keepaliveTimer);
+        if (socket) socket.close();
+    };
+    
+    // 按服务器地址族创建套接字，server.host 可以是IPv6地址或只解析到IPv6的域名
+    dns.lookup(PUBLIC_SERVER_IP, (err, address, family) => {
+        if (channel.closed) return;
+        if (err) {
+            broadcastLog('error', `映射 ${mapping.name} 的原生UDP通道无法解析服务器地址: ${err.message}`);
+            return;
         }
         
-        // 检查是否所有连接都失败了
-        checkConnectionHealth();
+        socket = dgram.createSocket(family === 6 ? 'udp6' : 'udp4');
+        socket.on('message', onPacket);
         
-        // 重连延迟
-        setTimeout(() => {
-            if (shouldMaintainConnection && activeMappings.has(mapping.id)) {
-                connectionStats.reconnectAttempts++;
-                createMappingConnection(mapping);
+        // 服务端端口不可达等错误不影响TCP隧道，通道连通后才记录
+        socket.on('error', (err) => {
+            if (channel.connected) {
+                broadcastLog('error', `映射 ${mapping.name} 的原生UDP通道发生错误: ${err.message}`);
             }
-        }, pool.reconnectDelay);
+        });
+        
+        socket.connect(info.port, address, () => {
+            if (channel.closed) return;
+            keepaliveTimer = setInterval(sendKeepalive, NATIVE_UDP_KEEPALIVE_INTERVAL);
+            sendKeepalive();
+        });
     });
-    
-    broadcastStats();
 }
 
 // 测试本地服务器连接
@@ -900,20 +3254,29 @@ async function testLocalServerConnection(host, port, protocol = 'tcp') {
         
         if (protocol === 'udp' || protocol === 'both') {
             // 测试UDP连接（发送测试包）
-            const testUdpClient = dgram.createSocket('udp4');
             const testMessage = Buffer.from('test');
             
-            testUdpClient.send(testMessage, port, host, (err) => {
+            createUdpSocketFor(host, (err, testUdpClient, address) => {
                 if (err) {
-                    broadcastLog('warning', `本地UDP服务器 ${host}:${port} 测试包发送失败: ${err.message}`);
-                } else {
-                    broadcastLog('info', `本地UDP服务器 ${host}:${port} 测试包已发送`);
+                    broadcastLog('warning', `本地UDP服务器 ${host}:${port} 地址解析失败: ${err.message}`);
+                    if (protocol === 'udp') {
+                        resolve({ udp: true });
+                    }
+                    return;
                 }
-                testUdpClient.close();
                 
-                if (protocol === 'udp') {
-                    resolve({ udp: true });
-                }
+                testUdpClient.send(testMessage, port, address, (err) => {
+                    if (err) {
+                        broadcastLog('warning', `本地UDP服务器 ${host}:${port} 测试包发送失败: ${err.message}`);
+                    } else {
+                        broadcastLog('info', `本地UDP服务器 ${host}:${port} 测试包已发送`);
+                    }
+                    testUdpClient.close();
+                    
+                    if (protocol === 'udp') {
+                        resolve({ udp: true });
+                    }
+                });
             });
         }
     });
@@ -952,78 +3315,10 @@ function broadcastLog(level, message, data = {}) {
     console.log(`[${timeStr}] [${level.toUpperCase()}] ${message}`);
 }
 
-// L4D2 UDP连接池管理
-const l4d2UdpPools = new Map(); // mappingId -> { pool: Map<clientKey, udpClient>, lastCleanup: timestamp }
-
-// 获取或创建L4D2 UDP连接
-function getOrCreateL4D2UdpClient(mappingId, clientIP, clientPort, localHost, localPort) {
-    const clientKey = `${clientIP}:${clientPort}`;
-    
-    if (!l4d2UdpPools.has(mappingId)) {
-        l4d2UdpPools.set(mappingId, {
-            pool: new Map(),
-            lastCleanup: Date.now()
-        });
-    }
-    
-    const poolInfo = l4d2UdpPools.get(mappingId);
-    
-    // 检查是否有现有连接
-    if (poolInfo.pool.has(clientKey)) {
-        const existingClient = poolInfo.pool.get(clientKey);
-        if (!existingClient.destroyed) {
-            broadcastLog('info', `重用L4D2 UDP连接: ${clientKey}`);
-            return existingClient;
-        } else {
-            poolInfo.pool.delete(clientKey);
-        }
-    }
-    
-    // 创建新的UDP客户端
-    const udpClient = dgram.createSocket('udp4');
-    poolInfo.pool.set(clientKey, udpClient);
-    
-    // 设置连接超时清理
-    setTimeout(() => {
-        if (poolInfo.pool.has(clientKey)) {
-            const client = poolInfo.pool.get(clientKey);
-            if (!client.destroyed) {
-                client.close();
-            }
-            poolInfo.pool.delete(clientKey);
-            broadcastLog('info', `清理L4D2 UDP连接: ${clientKey}`);
-        }
-    }, 30000); // 30秒后清理
-    
-    broadcastLog('info', `创建新的L4D2 UDP连接: ${clientKey}`);
-    return udpClient;
-}
-
-// 清理过期的L4D2 UDP连接
-function cleanupL4D2UdpPools() {
-    const now = Date.now();
-    for (const [mappingId, poolInfo] of l4d2UdpPools) {
-        // 每5分钟清理一次
-        if (now - poolInfo.lastCleanup > 300000) {
-            for (const [clientKey, udpClient] of poolInfo.pool) {
-                if (!udpClient.destroyed) {
-                    udpClient.close();
-                }
-            }
-            poolInfo.pool.clear();
-            poolInfo.lastCleanup = now;
-            broadcastLog('info', `清理映射 ${mappingId} 的所有L4D2 UDP连接`);
-        }
-    }
-}
-
-// 定期清理UDP连接池
-setInterval(cleanupL4D2UdpPools, 60000); // 每分钟检查一次
-
 // 启动Web服务器
-server.listen(WEB_PORT, () => {
+server.listen(WEB_PORT, WEB_HOST, () => {
     console.log(`客户端Web管理界面启动成功，访问地址: http://localhost:${WEB_PORT}`);
-    broadcastLog('success', `客户端Web管理界面启动成功，端口: ${WEB_PORT}`);
+    broadcastLog('success', `客户端Web管理界面启动成功，监听: ${WEB_HOST}:${WEB_PORT}`);
     
     // 自动启动已启用的映射
     setTimeout(() => {
@@ -1034,6 +3329,17 @@ server.listen(WEB_PORT, () => {
     }, 2000);
 });
 
+// WebSocket握手校验：只允许已登录的管理员建立实时连接
+io.use((socket, next) => {
+    const session = getSession(socket.request.headers.cookie);
+    if (!session) {
+        return next(new Error('未登录或会话已过期'));
+    }
+    socket.data.sessionId = session.id;
+    socket.data.username = session.username;
+    next();
+});
+
 // WebSocket连接处理
 io.on('connection', (socket) => {
     console.log('新的WebSocket连接已建立');
@@ -1055,15 +3361,22 @@ setInterval(() => {
     broadcastStats();
 }, 3000);
 
+// 定期清理过期会话和登录失败记录
+setInterval(cleanupSessions, 60000);
+
 // 全局异常处理
 process.on('uncaughtException', (err) => {
     console.error('未捕获的异常:', err);
     broadcastLog('error', `系统异常: ${err.message}`);
 });
 
-process.on('SIGINT', () => {
+// 关闭前释放服务器上的端口，服务器无响应时不超过 SERVER_API_TIMEOUT 即退出
+function shutdown() {
     console.log('\n正在关闭客户端服务...');
     shouldMaintainConnection = false;
-    stopAllMappings();
-    process.exit(0);
-});
\ No newline at end of file
+    const timeout = new Promise(resolve => setTimeout(resolve, SERVER_API_TIMEOUT));
+    Promise.race([stopAllMappings(), timeout]).then(() => process.exit(0));
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
\ No newline at end of file
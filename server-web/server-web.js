@@ -3,14 +3,23 @@
 
 const express = require('express');
 const http = require('http');
+const https = require('https');
+const tls = require('tls');
 const socketIo = require('socket.io');
 const path = require('path');
 const net = require('net');
 const dgram = require('dgram'); // 添加UDP支持
 const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Duplex } = require('stream');
 
 // 配置文件管理
 const CONFIG_FILE = path.join(__dirname, 'config.json');
+const ADMINS_FILE = path.join(__dirname, 'admins.json');
+const BANS_FILE = path.join(__dirname, 'bans.json');
+const AUDIT_FILE = path.join(__dirname, 'audit.log');
 
 // 加载配置
 function loadConfig() {
@@ -45,6 +54,289 @@ function saveConfig(config) {
     }
 }
 
+// ==================== 配置校验 ====================
+const MAX_CONFIG_INTEGER = Number.MAX_SAFE_INTEGER;
+const MAPPING_PROTOCOLS = ['tcp', 'udp', 'both']; // 与客户端 portMappings[].protocol 的取值一致
+const BANDWIDTH_DIRECTIONS = ['upstream', 'downstream'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isValidPort(value) {
+    return Number.isInteger(value) && value >= 1 && value <= 65535;
+}
+
+// 客户端允许端口规则: 端口号或 "起始-结束"
+function isValidPortRule(rule) {
+    if (typeof rule === 'number') return isValidPort(rule);
+    const match = /^(\d+)(?:-(\d+))?$/.exec(String(rule));
+    if (!match) return false;
+    const start = parseInt(match[1]);
+    const end = match[2] === undefined ? start : parseInt(match[2]);
+    return isValidPort(start) && isValidPort(end) && start <= end;
+}
+
+// 校验完整配置，返回字段级错误列表 [{ field, message }]，为空表示通过
+function validateConfig(candidate) {
+    if (!isPlainObject(candidate)) {
+        return [{ field: '', message: '配置必须是JSON对象' }];
+    }
+    
+    const errors = [];
+    const addError = (field, message) => errors.push({ field, message });
+    
+    const expectObject = (field, value, required = false) => {
+        if (value === undefined) {
+            if (required) addError(field, '不能为空');
+            return false;
+        }
+        if (!isPlainObject(value)) {
+            addError(field, '必须是对象');
+            return false;
+        }
+        return true;
+    };
+    const expectBoolean = (field, value) => {
+        if (value !== undefined && typeof value !== 'boolean') {
+            addError(field, '必须是布尔值');
+        }
+    };
+    const expectString = (field, value, required = false) => {
+        if (value === undefined || value === null) {
+            if (required) addError(field, '不能为空');
+        } else if (typeof value !== 'string') {
+            addError(field, '必须是字符串');
+        } else if (required && value.trim() === '') {
+            addError(field, '不能为空');
+        }
+    };
+    const expectInteger = (field, value, min, max, required = false) => {
+        if (value === undefined) {
+            if (required) addError(field, '不能为空');
+            return false;
+        }
+        if (!Number.isInteger(value) || value < min || value > max) {
+            addError(field, max === MAX_CONFIG_INTEGER ? `必须是不小于${min}的整数` : `必须是${min}-${max}之间的整数`);
+            return false;
+        }
+        return true;
+    };
+    
+    // 服务器端口
+    const reservedPorts = [];
+    if (expectObject('server', candidate.server, true)) {
+        const { webPort, localProxyPort } = candidate.server;
+        const webPortValid = expectInteger('server.webPort', webPort, 1, 65535, true);
+        const proxyPortValid = expectInteger('server.localProxyPort', localProxyPort, 1, 65535, true);
+        if (webPortValid) reservedPorts.push({ name: 'server.webPort', port: webPort });
+        if (proxyPortValid) reservedPorts.push({ name: 'server.localProxyPort', port: localProxyPort });
+        if (webPortValid && proxyPortValid && webPort === localProxyPort) {
+            addError('server.localProxyPort', '不能与 server.webPort 相同');
+        }
+    }
+    
+    if (expectObject('nativeUdp', candidate.nativeUdp)) {
+        expectBoolean('nativeUdp.enabled', candidate.nativeUdp.enabled);
+        if (expectInteger('nativeUdp.port', candidate.nativeUdp.port, 1, 65535)) {
+            reservedPorts.push({ name: 'nativeUdp.port', port: candidate.nativeUdp.port });
+        }
+    }
+    
+    if (expectObject('tls', candidate.tls)) {
+        expectBoolean('tls.enabled', candidate.tls.enabled);
+        expectBoolean('tls.web', candidate.tls.web);
+        expectString('tls.cert', candidate.tls.cert);
+        expectString('tls.key', candidate.tls.key);
+    }
+    
+    if (expectObject('rateLimit', candidate.rateLimit)) {
+        const rateLimit = candidate.rateLimit;
+        expectBoolean('rateLimit.enabled', rateLimit.enabled);
+        ['perIp', 'perPort'].forEach(scope => {
+            if (expectObject(`rateLimit.${scope}`, rateLimit[scope])) {
+                expectInteger(`rateLimit.${scope}.connectionsPerSecond`, rateLimit[scope].connectionsPerSecond, 1, MAX_CONFIG_INTEGER);
+                expectInteger(`rateLimit.${scope}.maxConcurrent`, rateLimit[scope].maxConcurrent, 1, MAX_CONFIG_INTEGER);
+                expectInteger(`rateLimit.${scope}.packetsPerSecond`, rateLimit[scope].packetsPerSecond, 1, MAX_CONFIG_INTEGER);
+            }
+        });
+        expectInteger('rateLimit.banThreshold', rateLimit.banThreshold, 1, MAX_CONFIG_INTEGER);
+        expectInteger('rateLimit.banDuration', rateLimit.banDuration, 1, MAX_CONFIG_INTEGER);
+    }
+    
+    if (expectObject('minecraft', candidate.minecraft)) {
+        const minecraft = candidate.minecraft;
+        expectBoolean('minecraft.enabled', minecraft.enabled);
+        expectString('minecraft.kickMessage', minecraft.kickMessage);
+        if (minecraft.whitelist !== undefined) {
+            if (!Array.isArray(minecraft.whitelist)) {
+                addError('minecraft.whitelist', '必须是数组');
+            } else {
+                minecraft.whitelist.forEach((username, index) => {
+                    if (typeof username !== 'string' || !MC_USERNAME_PATTERN.test(username)) {
+                        addError(`minecraft.whitelist[${index}]`, '无效的玩家名');
+                    }
+                });
+            }
+        }
+        if (expectObject('minecraft.routing', minecraft.routing)) {
+            const routing = minecraft.routing;
+            expectBoolean('minecraft.routing.enabled', routing.enabled);
+            expectString('minecraft.routing.kickMessage', routing.kickMessage);
+            const portValid = expectInteger('minecraft.routing.port', routing.port, 1, 65535);
+            // 未启用时不占用端口，默认端口可以留在端口范围中
+            if (routing.enabled === true && (portValid || routing.port === undefined)) {
+                const routingPort = routing.port || MC_DEFAULT_ROUTING_PORT;
+                // 原生UDP通道使用UDP端口，不与TCP端口冲突
+                const conflict = reservedPorts.find(({ name, port }) => name.startsWith('server.') && port === routingPort);
+                if (conflict) {
+                    addError('minecraft.routing.port', `不能与 ${conflict.name} 相同`);
+                }
+                reservedPorts.push({ name: 'minecraft.routing.port', port: routingPort });
+            }
+        }
+    }
+    
+    // 端口配置项的公共字段，ID在端口范围和特定端口之间也不能重复
+    const entryIds = new Map();
+    const checkPortEntry = (field, entry) => {
+        if (!expectObject(field, entry, true)) return false;
+        expectString(`${field}.id`, entry.id, true);
+        if (typeof entry.id === 'string') {
+            if (entryIds.has(entry.id)) {
+                addError(`${field}.id`, `与 ${entryIds.get(entry.id)} 的ID重复`);
+            } else {
+                entryIds.set(entry.id, field);
+            }
+        }
+        expectString(`${field}.name`, entry.name, true);
+        expectString(`${field}.description`, entry.description);
+        expectBoolean(`${field}.enabled`, entry.enabled);
+        expectBoolean(`${field}.minecraft`, entry.minecraft);
+        ['allow', 'deny'].forEach(key => {
+            const invalid = findInvalidCidrs(entry[key]);
+            if (invalid.length > 0) {
+                addError(`${field}.${key}`, `无效的IP或CIDR: ${invalid.join(', ')}`);
+            }
+        });
+        if (expectObject(`${field}.bandwidth`, entry.bandwidth)) {
+            BANDWIDTH_DIRECTIONS.forEach(direction => {
+                expectInteger(`${field}.bandwidth.${direction}`, entry.bandwidth[direction], 0, MAX_CONFIG_INTEGER);
+            });
+        }
+        return true;
+    };
+    
+    const ranges = [];
+    if (!Array.isArray(candidate.portRanges)) {
+        addError('portRanges', '必须是数组');
+    } else {
+        candidate.portRanges.forEach((range, index) => {
+            const field = `portRanges[${index}]`;
+            if (!checkPortEntry(field, range)) return;
+            
+            const startValid = expectInteger(`${field}.startPort`, range.startPort, 1, 65535, true);
+            const endValid = expectInteger(`${field}.endPort`, range.endPort, 1, 65535, true);
+            if (!startValid || !endValid) return;
+            if (range.startPort > range.endPort) {
+                addError(`${field}.endPort`, '不能小于 startPort');
+                return;
+            }
+            
+            reservedPorts.forEach(({ name, port }) => {
+                if (port >= range.startPort && port <= range.endPort) {
+                    addError(field, `端口范围包含 ${name} (${port})`);
+                }
+            });
+            ranges.forEach(other => {
+                if (range.startPort <= other.endPort && other.startPort <= range.endPort) {
+                    addError(field, `端口范围与 ${other.field} (${other.startPort}-${other.endPort}) 重叠`);
+                }
+            });
+            ranges.push({ field, startPort: range.startPort, endPort: range.endPort });
+        });
+    }
+    
+    if (!Array.isArray(candidate.specificPorts)) {
+        addError('specificPorts', '必须是数组');
+    } else {
+        const usedPorts = new Map();
+        candidate.specificPorts.forEach((portConfig, index) => {
+            const field = `specificPorts[${index}]`;
+            if (!checkPortEntry(field, portConfig)) return;
+            if (!expectInteger(`${field}.port`, portConfig.port, 1, 65535, true)) return;
+            
+            reservedPorts.forEach(({ name, port }) => {
+                if (port === portConfig.port) {
+                    addError(`${field}.port`, `不能使用 ${name} 的端口 (${port})`);
+                }
+            });
+            ranges.forEach(range => {
+                if (portConfig.port >= range.startPort && portConfig.port <= range.endPort) {
+                    addError(`${field}.port`, `已包含在 ${range.field} (${range.startPort}-${range.endPort}) 中`);
+                }
+            });
+            if (usedPorts.has(portConfig.port)) {
+                addError(`${field}.port`, `与 ${usedPorts.get(portConfig.port)} 的端口重复`);
+            } else {
+                usedPorts.set(portConfig.port, field);
+            }
+        });
+    }
+    
+    if (candidate.clients !== undefined) {
+        if (!Array.isArray(candidate.clients)) {
+            addError('clients', '必须是数组');
+        } else {
+            const clientIds = new Map();
+            const tokens = new Map();
+            candidate.clients.forEach((client, index) => {
+                const field = `clients[${index}]`;
+                if (!expectObject(field, client, true)) return;
+                
+                expectString(`${field}.id`, client.id, true);
+                if (typeof client.id === 'string') {
+                    if (clientIds.has(client.id)) {
+                        addError(`${field}.id`, `与 ${clientIds.get(client.id)} 的ID重复`);
+                    } else {
+                        clientIds.set(client.id, field);
+                    }
+                }
+                expectString(`${field}.name`, client.name);
+                expectString(`${field}.secret`, client.secret, true);
+                expectString(`${field}.token`, client.token, true);
+                if (typeof client.token === 'string' && client.token !== '') {
+                    if (tokens.has(client.token)) {
+                        addError(`${field}.token`, `与 ${tokens.get(client.token)} 的令牌重复`);
+                    } else {
+                        tokens.set(client.token, field);
+                    }
+                }
+                expectBoolean(`${field}.enabled`, client.enabled);
+                expectInteger(`${field}.maxMappings`, client.maxMappings, 0, MAX_CONFIG_INTEGER);
+                if (client.allowedPorts !== undefined) {
+                    if (!Array.isArray(client.allowedPorts)) {
+                        addError(`${field}.allowedPorts`, '必须是数组');
+                    } else {
+                        client.allowedPorts.forEach((rule, ruleIndex) => {
+                            if (!isValidPortRule(rule)) {
+                                addError(`${field}.allowedPorts[${ruleIndex}]`, '必须是端口号或 "起始-结束" 格式');
+                            }
+                        });
+                    }
+                }
+            });
+        }
+    }
+    
+    return errors;
+}
+
+// 将校验错误合并为一条提示
+function formatConfigErrors(errors) {
+    return errors.map(error => (error.field ? `${error.field}: ${error.message}` : error.message)).join('；');
+}
+
 // 获取所有可用端口
 function getAvailablePorts(config) {
     const availablePorts = [];
@@ -86,21 +378,217 @@ function isPortOccupied(port) {
            port === config.server.webPort || port === config.server.localProxyPort;
 }
 
+// 确保至少配置了一个客户端凭据，首次启动时自动生成
+function ensureClientCredentials(config) {
+    if (!Array.isArray(config.clients) || config.clients.length === 0) {
+        config.clients = [
+            {
+                id: 'default',
+                name: '默认客户端',
+                secret: crypto.randomBytes(24).toString('hex'),
+                enabled: true
+            }
+        ];
+    }
+    
+    // 为缺少API令牌的客户端补充生成令牌
+    const generated = config.clients.filter(client => !client.secret || !client.token);
+    if (generated.length === 0) {
+        return;
+    }
+    
+    generated.forEach(client => {
+        client.secret = client.secret || crypto.randomBytes(24).toString('hex');
+        client.token = client.token || crypto.randomBytes(24).toString('hex');
+    });
+    saveConfig(config);
+    
+    console.log('⚠️ 以下客户端缺少凭据，已自动生成并写入配置文件:');
+    generated.forEach(client => {
+        console.log(`   clientId: ${client.id}`);
+        console.log(`   secret:   ${client.secret}`);
+        console.log(`   token:    ${client.token}`);
+    });
+    console.log('   请将以上信息填入客户端 config.json 的 server.clientId / server.secret / server.token\n');
+}
+
+// 根据API令牌查找客户端
+function findClientByToken(token) {
+    const provided = crypto.createHash('sha256').update(String(token)).digest();
+    return (config.clients || []).find(client => {
+        if (!client.token) return false;
+        const expected = crypto.createHash('sha256').update(client.token).digest();
+        return crypto.timingSafeEqual(provided, expected);
+    });
+}
+
+// 检查端口是否在客户端允许的范围内，allowedPorts 支持端口号或 "起始-结束" 格式
+function isPortAllowedForClient(client, port) {
+    if (!Array.isArray(client.allowedPorts) || client.allowedPorts.length === 0) {
+        return true;
+    }
+    
+    return client.allowedPorts.some(rule => {
+        if (typeof rule === 'number') {
+            return rule === port;
+        }
+        const [start, end] = String(rule).split('-').map(p => parseInt(p));
+        return port >= start && port <= (isNaN(end) ? start : end);
+    });
+}
+
+// 统计客户端当前拥有的映射数量
+function countClientMappings(clientId) {
+    return Array.from(portOwners.values()).filter(owner => owner === clientId).length;
+}
+
+// ==================== 管理员账户 ====================
+
+// 加载管理员账户
+function loadAdmins() {
+    try {
+        if (fs.existsSync(ADMINS_FILE)) {
+            return JSON.parse(fs.readFileSync(ADMINS_FILE, 'utf8'));
+        }
+    } catch (error) {
+        console.error('加载管理员账户失败:', error);
+    }
+    return [];
+}
+
+// 保存管理员账户
+function saveAdmins(admins) {
+    try {
+        fs.writeFileSync(ADMINS_FILE, JSON.stringify(admins, null, 4), { encoding: 'utf8', mode: 0o600 });
+        return true;
+    } catch (error) {
+        console.error('保存管理员账户失败:', error);
+        return false;
+    }
+}
+
+// 加载封禁列表
+function loadBans() {
+    try {
+        if (fs.existsSync(BANS_FILE)) {
+            return JSON.parse(fs.readFileSync(BANS_FILE, 'utf8'));
+        }
+    } catch (error) {
+        console.error('加载封禁列表失败:', error);
+    }
+    return [];
+}
+
+// 保存封禁列表
+function saveBans(bans) {
+    try {
+        fs.writeFileSync(BANS_FILE, JSON.stringify(bans, null, 4), 'utf8');
+        return true;
+    } catch (error) {
+        console.error('保存封禁列表失败:', error);
+        return false;
+    }
+}
+
+// 计算密码哈希，格式: scrypt:盐:哈希
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt:${salt}:${hash}`;
+}
+
+// 校验密码
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// 确保至少存在一个管理员账户，首次启动时自动生成
+function ensureAdminAccount() {
+    const admins = loadAdmins();
+    if (admins.length > 0) {
+        return;
+    }
+    
+    const password = crypto.randomBytes(9).toString('base64').replace(/[+/=]/g, '');
+    admins.push({
+        username: 'admin',
+        passwordHash: hashPassword(password),
+        createdAt: new Date()
+    });
+    saveAdmins(admins);
+    
+    console.log('⚠️ 未找到管理员账户，已自动创建:');
+    console.log(`   用户名: admin`);
+    console.log(`   密码:   ${password}`);
+    console.log(`   账户保存在 ${ADMINS_FILE}，请登录后及时修改密码\n`);
+}
+
 // Web服务器配置
 let config = loadConfig();
+ensureClientCredentials(config);
+ensureAdminAccount();
 const WEB_PORT = config.server.webPort;
 const LOCAL_PROXY_PORT = config.server.localProxyPort;
 
+// 原生UDP通道：默认与隧道端口使用相同的端口号（UDP）
+const NATIVE_UDP_CONFIG = config.nativeUdp || {};
+const NATIVE_UDP_ENABLED = NATIVE_UDP_CONFIG.enabled !== false;
+const NATIVE_UDP_PORT = NATIVE_UDP_CONFIG.port || LOCAL_PROXY_PORT;
+
+// Minecraft域名路由配置，修改后需重启服务
+const MC_ROUTING_CONFIG = (config.minecraft && config.minecraft.routing) || {};
+const MC_ROUTING_ENABLED = MC_ROUTING_CONFIG.enabled === true;
+const MC_DEFAULT_ROUTING_PORT = 25565;
+const MC_ROUTING_PORT = MC_ROUTING_CONFIG.port || MC_DEFAULT_ROUTING_PORT;
+
+// TLS配置：tls.enabled 加密隧道端口，tls.web 让管理界面和端口分配接口使用HTTPS
+const TLS_CONFIG = config.tls || {};
+const TUNNEL_TLS = TLS_CONFIG.enabled === true;
+const WEB_TLS = TLS_CONFIG.web === true;
+const TLS_OPTIONS = (TUNNEL_TLS || WEB_TLS) ? loadTlsOptions(TLS_CONFIG) : null;
+
+// 加载TLS证书和私钥，路径相对于程序目录
+function loadTlsOptions(tlsConfig) {
+    try {
+        const cert = fs.readFileSync(path.resolve(__dirname, tlsConfig.cert || 'certs/server.crt'));
+        const key = fs.readFileSync(path.resolve(__dirname, tlsConfig.key || 'certs/server.key'));
+        const fingerprint = new crypto.X509Certificate(cert).fingerprint256;
+        console.log(`🔒 已加载TLS证书，SHA-256指纹: ${fingerprint}`);
+        console.log('   客户端可将此指纹填入 server.tls.fingerprint 进行证书固定\n');
+        return { cert, key, minVersion: 'TLSv1.2' };
+    } catch (error) {
+        console.error('加载TLS证书失败，请检查 config.json 中的 tls.cert / tls.key:', error.message);
+        process.exit(1);
+    }
+}
+
 // 全局状态管理
 let connectionId = 0;
 const waitingQueue = new Map(); // port -> queue
 const idleLocalSockets = new Map(); // port -> sockets array
 const activeConnections = new Map(); // connectionId -> connection info
+const connectionClosers = new Map(); // connectionId -> 主动关闭该连接的函数
 const activeServers = new Map(); // port -> server instance (TCP)
 const activeUdpServers = new Map(); // port -> server instance (UDP)
-const udpClientMappings = new Map(); // port -> { address, port } mappings for UDP clients
+const udpTunnels = new Map(); // publicPort -> UDP隧道数组
+const udpSessions = new Map(); // "publicPort|address|port" -> UDP会话
 const portMappings = new Map(); // localPort -> publicPort
 const portProtocols = new Map(); // publicPort -> 'tcp' | 'udp' | 'both'
+const portOwners = new Map(); // publicPort -> clientId
+const minecraftPorts = new Set(); // 客户端标记为Minecraft服务器的公网端口
+const muxSessions = new Map(); // publicPort -> 多路复用隧道会话数组
+const controlChannels = new Map(); // publicPort -> 客户端控制通道
+const connectionInfoSockets = new WeakSet(); // 认证时请求外部连接信息的空闲连接
+const idleHeartbeats = new Map(); // 启用心跳的空闲连接 -> 心跳状态
+const portHeartbeats = new Map(); // publicPort -> { rtt, lastSeen } 客户端最近一次心跳
+const compressedSockets = new WeakMap(); // 协商了压缩的隧道连接或多路复用流 -> 压缩算法
+const portCompression = new Map(); // publicPort -> { algorithm, rawBytes, compressedBytes }
 const connectionStats = {
     totalConnections: 0,
     activeConnections: 0,
@@ -108,678 +596,3603 @@ const connectionStats = {
     serverStartTime: new Date(),
     lastActivity: new Date(),
     activePorts: 0,
-    totalMappings: 0
+    totalMappings: 0,
+    authFailures: 0,
+    rejectedConnections: 0,
+    rateLimitedConnections: 0,
+    rateLimitedPackets: 0,
+    droppedDatagrams: 0,
+    bannedConnections: 0,
+    minecraftRejections: 0,
+    compression: { rawBytes: 0, compressedBytes: 0 } // 压缩连接的原始字节数和隧道上实际传输的字节数
 };
 
-// 创建Express应用
-const app = express();
-const server = http.createServer(app);
-const io = socketIo(server);
+// ==================== 访问控制（IP白名单/黑名单） ====================
+const portAccessRules = new Map(); // publicPort -> { allow, deny } 运行中映射的规则
+const compiledAccessRules = new Map(); // publicPort -> { allow, deny } 编译后的BlockList缓存
+const portRejections = new Map(); // publicPort -> 被拒绝的访问次数
 
-// 中间件
-app.use(express.json());
-app.use(express.static(path.join(__dirname, 'public')));
+// 将IPv4映射的IPv6地址还原为IPv4，如 ::ffff:1.2.3.4 -> 1.2.3.4
+function normalizeAddress(address) {
+    const text = String(address || '');
+    if (text.toLowerCase().startsWith('::ffff:') && net.isIPv4(text.slice(7))) {
+        return text.slice(7);
+    }
+    return text;
+}
 
-// API路由
-app.get('/api/stats', (req, res) => {
-    res.json({
-        ...connectionStats,
-        activeConnectionsCount: activeConnections.size,
-        uptime: Date.now() - connectionStats.serverStartTime.getTime(),
-        activePorts: activeServers.size,
-        totalMappings: portMappings.size
-    });
-});
+// 格式化地址和端口用于日志，IPv6地址加方括号
+function formatEndpoint(address, port) {
+    const text = normalizeAddress(address);
+    return net.isIPv6(text) ? `[${text}]:${port}` : `${text}:${port}`;
+}
 
-// 配置管理API
-app.get('/api/config', (req, res) => {
-    res.json(config);
-});
+// 解析单条规则，支持单个IP或CIDR，无效时返回null
+function parseCidr(entry) {
+    const [address, prefixText, extra] = String(entry).trim().split('/');
+    const family = net.isIP(address);
+    if (!family || extra !== undefined || prefixText === '') return null;
+    
+    const maxPrefix = family === 4 ? 32 : 128;
+    const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) return null;
+    
+    return { address, prefix, type: family === 4 ? 'ipv4' : 'ipv6' };
+}
 
-app.post('/api/config', (req, res) => {
-    try {
-        config = { ...config, ...req.body };
-        if (saveConfig(config)) {
-            broadcastLog('success', '配置已更新');
-            res.json({ success: true, message: '配置保存成功' });
-        } else {
-            res.status(500).json({ success: false, message: '配置保存失败' });
+// 返回规则列表中的无效条目
+function findInvalidCidrs(list) {
+    if (list === undefined) return [];
+    if (!Array.isArray(list)) return [String(list)];
+    return list.filter(entry => !parseCidr(entry));
+}
+
+// 规范化规则列表：去除空白和空行
+function normalizeCidrList(list) {
+    return (Array.isArray(list) ? list : [])
+        .map(entry => String(entry).trim())
+        .filter(entry => entry.length > 0);
+}
+
+// 把规则列表编译为 net.BlockList，列表为空时返回null
+function buildBlockList(entries) {
+    if (entries.length === 0) return null;
+    const blockList = new net.BlockList();
+    entries.forEach(entry => {
+        const rule = parseCidr(entry);
+        if (rule) {
+            blockList.addSubnet(rule.address, rule.prefix, rule.type);
         }
-    } catch (error) {
-        res.status(400).json({ success: false, message: '配置格式错误' });
+    });
+    return blockList;
+}
+
+// 包含该端口的端口配置项（portRanges/specificPorts）
+function getPortConfigEntries(publicPort) {
+    return [
+        ...(config.portRanges || []).filter(range => publicPort >= range.startPort && publicPort <= range.endPort),
+        ...(config.specificPorts || []).filter(portConfig => portConfig.port === publicPort)
+    ];
+}
+
+// 端口配置项中适用于该端口的规则
+function getConfigAccessRules(publicPort) {
+    const rules = { allow: [], deny: [] };
+    getPortConfigEntries(publicPort).forEach(entry => {
+        if (Array.isArray(entry.allow)) rules.allow.push(...entry.allow);
+        if (Array.isArray(entry.deny)) rules.deny.push(...entry.deny);
+    });
+    return rules;
+}
+
+// 检查来源地址能否访问该端口：黑名单优先，白名单非空时只允许名单内的地址
+function isAddressAllowed(publicPort, address) {
+    let compiled = compiledAccessRules.get(publicPort);
+    if (!compiled) {
+        const configRules = getConfigAccessRules(publicPort);
+        const mappingRules = portAccessRules.get(publicPort) || { allow: [], deny: [] };
+        compiled = {
+            allow: buildBlockList([...configRules.allow, ...mappingRules.allow]),
+            deny: buildBlockList([...configRules.deny, ...mappingRules.deny])
+        };
+        compiledAccessRules.set(publicPort, compiled);
     }
-});
+    
+    const ip = normalizeAddress(address);
+    const type = net.isIPv6(ip) ? 'ipv6' : 'ipv4';
+    if (compiled.deny && compiled.deny.check(ip, type)) return false;
+    if (compiled.allow && !compiled.allow.check(ip, type)) return false;
+    return true;
+}
 
-// 端口管理API
-app.get('/api/ports/available', (req, res) => {
-    const availablePorts = getAvailablePorts(config);
-    res.json(availablePorts);
-});
+// 记录一次被访问控制拒绝的访问
+function recordRejection(publicPort, address, protocol) {
+    connectionStats.rejectedConnections++;
+    portRejections.set(publicPort, (portRejections.get(publicPort) || 0) + 1);
+    broadcastLog('warning', `拒绝来自 ${normalizeAddress(address)} 的${protocol.toUpperCase()}访问: 不符合端口 ${publicPort} 的访问控制规则`);
+}
 
-app.get('/api/ports/active', (req, res) => {
-    const activePorts = Array.from(activeServers.keys()).map(port => ({
-        port: port,
-        connections: activeConnections.size,
-        uptime: Date.now() - connectionStats.serverStartTime.getTime()
-    }));
-    res.json(activePorts);
-});
+// ==================== 带宽限制 ====================
+// 每个公网端口的上行（玩家发往内网服务）和下行（内网服务发往玩家）各有一个令牌桶，
+// 由该端口的所有TCP连接共享。限速单位为字节/秒，0 表示不限速
+const portBandwidthLimits = new Map(); // publicPort -> { upstream, downstream } 运行中映射的限速，null 表示沿用端口配置项
+const portBandwidthBuckets = new Map(); // publicPort -> { upstream, downstream } 令牌桶
+
+// 令牌桶容量为一秒的流量。允许透支，透支时返回需要暂停读取的毫秒数；同时统计最近一秒的实际速率
+function createTokenBucket() {
+    const now = Date.now();
+    return { tokens: null, updatedAt: now, windowStart: now, windowBytes: 0, rate: 0, throttledAt: 0 };
+}
 
-app.post('/api/ports/allocate', (req, res) => {
-    const { localPort, preferredPort, protocol = 'both' } = req.body; // 添加协议类型支持
+function takeTokens(bucket, limit, bytes) {
+    const now = Date.now();
+    bucket.windowBytes += bytes;
+    if (now - bucket.windowStart >= 1000) {
+        bucket.rate = Math.round(bucket.windowBytes * 1000 / (now - bucket.windowStart));
+        bucket.windowStart = now;
+        bucket.windowBytes = 0;
+    }
     
-    try {
-        let allocatedPort = null;
-        
-        if (preferredPort && !isPortOccupied(preferredPort)) {
-            // 检查首选端口是否在可用端口列表中
-            const availablePorts = getAvailablePorts(config);
-            const isPreferredAvailable = availablePorts.some(p => p.port === preferredPort && p.enabled);
-            
-            if (isPreferredAvailable) {
-                allocatedPort = preferredPort;
-            }
+    if (!limit) {
+        bucket.tokens = null;
+        return 0;
+    }
+    const available = bucket.tokens === null ? limit : bucket.tokens + (now - bucket.updatedAt) * limit / 1000;
+    bucket.updatedAt = now;
+    bucket.tokens = Math.min(available, limit) - bytes;
+    if (bucket.tokens >= 0) return 0;
+    
+    bucket.throttledAt = now;
+    return Math.ceil(-bucket.tokens * 1000 / limit);
+}
+
+// 限速值、最近一秒的实际速率，以及最近是否因限速暂停过读取
+function describeTokenBucket(bucket, limit) {
+    const now = Date.now();
+    return {
+        limit,
+        rate: bucket && now - bucket.windowStart < 2000 ? bucket.rate : 0,
+        throttled: Boolean(bucket && now - bucket.throttledAt < 2000)
+    };
+}
+
+// 端口配置项中的限速，多个配置项包含该端口时使用第一个设置了限速的
+function getConfigBandwidthLimits(publicPort) {
+    const entry = getPortConfigEntries(publicPort).find(item => isPlainObject(item.bandwidth));
+    const bandwidth = entry ? entry.bandwidth : {};
+    return {
+        upstream: bandwidth.upstream || 0,
+        downstream: bandwidth.downstream || 0
+    };
+}
+
+// 端口当前生效的限速，运行中映射上设置的值优先
+function getPortBandwidthLimits(publicPort) {
+    const limits = getConfigBandwidthLimits(publicPort);
+    const overrides = portBandwidthLimits.get(publicPort) || {};
+    BANDWIDTH_DIRECTIONS.forEach(direction => {
+        if (Number.isInteger(overrides[direction])) {
+            limits[direction] = overrides[direction];
         }
-        
-        if (!allocatedPort) {
-            // 自动分配端口
-            const availablePorts = getAvailablePorts(config);
-            const unoccupiedPorts = availablePorts.filter(p => p.enabled && !isPortOccupied(p.port));
-            
-            if (unoccupiedPorts.length > 0) {
-                allocatedPort = unoccupiedPorts[0].port;
-            }
+    });
+    return limits;
+}
+
+// 记录端口某个方向上转发的数据，返回需要暂停读取的毫秒数
+function takePortBandwidth(publicPort, direction, bytes) {
+    let buckets = portBandwidthBuckets.get(publicPort);
+    if (!buckets) {
+        buckets = { upstream: createTokenBucket(), downstream: createTokenBucket() };
+        portBandwidthBuckets.set(publicPort, buckets);
+    }
+    return takeTokens(buckets[direction], getPortBandwidthLimits(publicPort)[direction], bytes);
+}
+
+function getPortBandwidthInfo(publicPort) {
+    const limits = getPortBandwidthLimits(publicPort);
+    const buckets = portBandwidthBuckets.get(publicPort) || {};
+    return {
+        upstream: describeTokenBucket(buckets.upstream, limits.upstream),
+        downstream: describeTokenBucket(buckets.downstream, limits.downstream)
+    };
+}
+
+// 各运行中端口的限速状态，随统计信息定期推送
+function getBandwidthByPort() {
+    return Object.fromEntries(Array.from(portMappings.values()).map(publicPort => [publicPort, getPortBandwidthInfo(publicPort)]));
+}
+
+// ==================== 连接限流与临时封禁 ====================
+const RATE_LIMIT_DEFAULTS = {
+    enabled: true,
+    perIp: { connectionsPerSecond: 10, maxConcurrent: 20, packetsPerSecond: 1000 },
+    perPort: { connectionsPerSecond: 200, maxConcurrent: 1000, packetsPerSecond: 20000 },
+    banThreshold: 5,  // 1分钟内超限次数达到该值后临时封禁
+    banDuration: 300  // 封禁时长（秒）
+};
+const VIOLATION_WINDOW = 60 * 1000;
+const ipConnectionStates = new Map(); // ip -> { windowStart, count, packets, concurrent, violations, warned }
+const portConnectionStates = new Map(); // publicPort -> { windowStart, count, packets, concurrent, violations, warned }
+
+// 读取限流配置，未配置的字段使用默认值
+function getRateLimitConfig() {
+    const rateLimit = config.rateLimit || {};
+    return {
+        ...RATE_LIMIT_DEFAULTS,
+        ...rateLimit,
+        perIp: { ...RATE_LIMIT_DEFAULTS.perIp, ...rateLimit.perIp },
+        perPort: { ...RATE_LIMIT_DEFAULTS.perPort, ...rateLimit.perPort }
+    };
+}
+
+// 获取计数状态，每秒重置一次新连接和UDP数据包计数
+function getRateState(states, key) {
+    let state = states.get(key);
+    if (!state) {
+        state = { windowStart: 0, count: 0, packets: 0, concurrent: 0, violations: [], warned: false };
+        states.set(key, state);
+    }
+    const now = Date.now();
+    if (now - state.windowStart >= 1000) {
+        state.windowStart = now;
+        state.count = 0;
+        state.packets = 0;
+        state.warned = false;
+    }
+    return state;
+}
+
+// 记录一次限流拒绝，同一IP或端口每秒只输出一条日志
+function rejectByRateLimit(state, message, counter = 'rateLimitedConnections') {
+    connectionStats[counter]++;
+    if (!state.warned) {
+        state.warned = true;
+        broadcastLog('warning', message);
+    }
+}
+
+// 记录一次单IP超限，1分钟内达到 banThreshold 次后临时封禁该IP
+function recordIpViolation(ipState, ip, reason, limits) {
+    const now = Date.now();
+    ipState.violations = ipState.violations.filter(time => now - time < VIOLATION_WINDOW);
+    ipState.violations.push(now);
+    if (ipState.violations.length >= limits.banThreshold) {
+        ipState.violations = [];
+        const ban = addBan({ type: 'ip', value: ip, reason: `限流: ${reason}`, duration: limits.banDuration, createdBy: 'rate-limit' });
+        recordAudit(null, 'ban.add', {
+            actor: { type: 'system', name: 'rate-limit' },
+            target: `ip:${ban.value}`,
+            details: { id: ban.id, reason: ban.reason, duration: limits.banDuration }
+        });
+    }
+}
+
+// 为新的外部TCP连接或UDP会话占用限流名额，超限时返回false
+function acquireConnectionSlot(publicPort, ip) {
+    const limits = getRateLimitConfig();
+    const ipState = getRateState(ipConnectionStates, ip);
+    const portState = getRateState(portConnectionStates, publicPort);
+    
+    if (limits.enabled) {
+        let reason = null;
+        if (ipState.count >= limits.perIp.connectionsPerSecond) {
+            reason = `每秒新连接数超过 ${limits.perIp.connectionsPerSecond}`;
+        } else if (ipState.concurrent >= limits.perIp.maxConcurrent) {
+            reason = `并发连接数超过 ${limits.perIp.maxConcurrent}`;
         }
         
-        if (allocatedPort) {
-            // 创建端口映射和服务器
-            const success = createPortMapping(localPort, allocatedPort, protocol);
-            if (success) {
-                broadcastLog('success', `端口分配成功: ${localPort} -> ${allocatedPort} (${protocol})`);
-                res.json({
-                    success: true,
-                    localPort: localPort,
-                    publicPort: allocatedPort,
-                    protocol: protocol,
-                    message: `端口映射创建成功: ${localPort} -> ${allocatedPort} (${protocol})`
-                });
-            } else {
-                res.status(500).json({
-                    success: false,
-                    message: '创建端口映射失败'
-                });
-            }
-        } else {
-            res.status(400).json({
-                success: false,
-                message: '没有可用的端口'
-            });
+        if (reason) {
+            rejectByRateLimit(ipState, `限流: 拒绝来自 ${ip} 的连接（端口 ${publicPort}），${reason}`);
+            recordIpViolation(ipState, ip, reason, limits);
+            return false;
+        }
+        
+        if (portState.count >= limits.perPort.connectionsPerSecond) {
+            rejectByRateLimit(portState, `限流: 端口 ${publicPort} 每秒新连接数超过 ${limits.perPort.connectionsPerSecond}，拒绝来自 ${ip} 的连接`);
+            return false;
+        }
+        if (portState.concurrent >= limits.perPort.maxConcurrent) {
+            rejectByRateLimit(portState, `限流: 端口 ${publicPort} 并发连接数超过 ${limits.perPort.maxConcurrent}，拒绝来自 ${ip} 的连接`);
+            return false;
         }
-    } catch (error) {
-        broadcastLog('error', `端口分配失败: ${error.message}`);
-        res.status(500).json({
-            success: false,
-            message: error.message
-        });
     }
-});
+    
+    ipState.count++;
+    ipState.concurrent++;
+    portState.count++;
+    portState.concurrent++;
+    return true;
+}
 
-app.delete('/api/ports/mapping/:localPort', (req, res) => {
-    const localPort = parseInt(req.params.localPort);
-    const publicPort = portMappings.get(localPort);
+// 统计外部UDP数据包，超出每秒数据包上限时返回false。同一IP每秒只在首次超限时计一次违规，
+// 持续超限的IP同样会被临时封禁
+function acceptUdpPacket(publicPort, ip) {
+    const limits = getRateLimitConfig();
+    if (!limits.enabled) return true;
     
-    if (publicPort) {
-        const success = removePortMapping(localPort);
-        if (success) {
-            res.json({
-                success: true,
-                message: `端口映射已删除: ${localPort} -> ${publicPort}`
-            });
-        } else {
-            res.status(500).json({
-                success: false,
-                message: '删除端口映射失败'
-            });
+    const ipState = getRateState(ipConnectionStates, ip);
+    const portState = getRateState(portConnectionStates, publicPort);
+    
+    ipState.packets++;
+    if (ipState.packets > limits.perIp.packetsPerSecond) {
+        const reason = `每秒UDP数据包数超过 ${limits.perIp.packetsPerSecond}`;
+        rejectByRateLimit(ipState, `限流: 丢弃来自 ${ip} 的UDP数据包（端口 ${publicPort}），${reason}`, 'rateLimitedPackets');
+        if (ipState.packets === limits.perIp.packetsPerSecond + 1) {
+            recordIpViolation(ipState, ip, reason, limits);
         }
-    } else {
-        res.status(404).json({
-            success: false,
-            message: '端口映射不存在'
+        return false;
+    }
+    
+    portState.packets++;
+    if (portState.packets > limits.perPort.packetsPerSecond) {
+        rejectByRateLimit(portState, `限流: 端口 ${publicPort} 每秒UDP数据包数超过 ${limits.perPort.packetsPerSecond}，丢弃来自 ${ip} 的数据包`, 'rateLimitedPackets');
+        return false;
+    }
+    return true;
+}
+
+// 外部连接关闭后释放并发名额
+function releaseConnectionSlot(publicPort, ip) {
+    [ipConnectionStates.get(ip), portConnectionStates.get(publicPort)].forEach(state => {
+        if (state && state.concurrent > 0) {
+            state.concurrent--;
+        }
+    });
+}
+
+// 清理不再活跃的计数状态
+function cleanupRateLimitState() {
+    const now = Date.now();
+    [ipConnectionStates, portConnectionStates].forEach(states => {
+        states.forEach((state, key) => {
+            if (state.concurrent === 0 && now - state.windowStart > VIOLATION_WINDOW) {
+                states.delete(key);
+            }
         });
+    });
+}
+
+// ==================== Minecraft 玩家白名单 ====================
+const MC_LOGIN_TIMEOUT = 10000;
+const MC_MAX_LOGIN_BYTES = 4096;
+const MC_MAX_USERNAME_LENGTH = 16;
+const MC_USERNAME_PATTERN = /^[\p{L}\p{N}_]{1,16}$/u; // 离线模式下允许中文等非ASCII字符
+
+// 读取白名单配置，未配置的字段使用默认值；默认不启用，避免白名单为空时拒绝所有玩家
+function getMinecraftConfig() {
+    return {
+        enabled: false,
+        whitelist: [],
+        kickMessage: '你不在本服务器的白名单中',
+        ...config.minecraft
+    };
+}
+
+// 端口是否需要检查Minecraft登录：客户端分配时标记，或端口配置项设置了 minecraft: true
+function isMinecraftPort(publicPort) {
+    return minecraftPorts.has(publicPort) || getPortConfigEntries(publicPort).some(entry => entry.minecraft === true);
+}
+
+function isMinecraftWhitelisted(username) {
+    const minecraft = getMinecraftConfig();
+    if (!minecraft.enabled) return true;
+    const name = username.toLowerCase();
+    return minecraft.whitelist.some(entry => String(entry).toLowerCase() === name);
+}
+
+// 读取VarInt，数据不足时返回null
+function readVarInt(buffer, offset) {
+    let value = 0;
+    for (let i = 0; i < 5; i++) {
+        if (offset + i >= buffer.length) return null;
+        const byte = buffer[offset + i];
+        value |= (byte & 0x7f) << (7 * i);
+        if ((byte & 0x80) === 0) {
+            return { value, size: i + 1 };
+        }
     }
-});
+    throw new Error('VarInt超过5字节');
+}
 
-// 创建端口映射
-function createPortMapping(localPort, publicPort, protocol = 'both') {
-    try {
-        if (activeServers.has(publicPort) || activeUdpServers.has(publicPort)) {
-            return false; // 端口已被使用
+function writeVarInt(value) {
+    const bytes = [];
+    do {
+        let byte = value & 0x7f;
+        value >>>= 7;
+        if (value !== 0) byte |= 0x80;
+        bytes.push(byte);
+    } while (value !== 0);
+    return Buffer.from(bytes);
+}
+
+// 读取带VarInt长度前缀的UTF-8字符串，数据不足时返回null
+function readMcString(buffer, offset) {
+    const length = readVarInt(buffer, offset);
+    if (!length) return null;
+    const start = offset + length.size;
+    if (start + length.value > buffer.length) return null;
+    return { value: buffer.toString('utf8', start, start + length.value), size: length.size + length.value };
+}
+
+// 读取一个完整的数据包 [长度][包ID][数据]，数据不足时返回null
+function readMcPacket(buffer, offset) {
+    const length = readVarInt(buffer, offset);
+    if (!length) return null;
+    if (length.value > MC_MAX_LOGIN_BYTES) throw new Error('数据包过大');
+    const start = offset + length.size;
+    if (start + length.value > buffer.length) return null;
+    
+    const body = buffer.subarray(start, start + length.value);
+    const packetId = readVarInt(body, 0);
+    if (!packetId) throw new Error('数据包缺少包ID');
+    return { id: packetId.value, data: body.subarray(packetId.size), size: length.size + length.value };
+}
+
+// 完整数据包中的字段必须存在
+function expectField(field, name) {
+    if (!field) throw new Error(`${name}字段不完整`);
+    return field;
+}
+
+// 解析握手包，数据不足时返回null
+// 返回 { serverAddress, nextState, size }，size 为握手包占用的字节数
+function parseMinecraftHandshake(buffer) {
+    const handshake = readMcPacket(buffer, 0);
+    if (!handshake) return null;
+    if (handshake.id !== 0x00) throw new Error(`首个数据包不是握手包 (0x${handshake.id.toString(16)})`);
+    
+    let offset = expectField(readVarInt(handshake.data, 0), '协议版本').size;
+    const serverAddress = expectField(readMcString(handshake.data, offset), '服务器地址');
+    offset += serverAddress.size;
+    offset += 2; // 服务器端口
+    const nextState = expectField(readVarInt(handshake.data, offset), '下一状态').value;
+    return { serverAddress: serverAddress.value, nextState, size: handshake.size };
+}
+
+// 解析握手包和登录开始包，数据不足时返回null
+// 返回 { nextState, username }，状态查询（服务器列表）时没有username
+function parseMinecraftLogin(buffer) {
+    // 1.6及更早版本的服务器列表查询以0xFE开头，不涉及登录
+    if (buffer[0] === 0xfe) return { nextState: 1 };
+    
+    const handshake = parseMinecraftHandshake(buffer);
+    if (!handshake) return null;
+    
+    const { nextState } = handshake;
+    if (nextState === 1) return { nextState };
+    if (nextState !== 2 && nextState !== 3) throw new Error(`未知的下一状态 ${nextState}`);
+    
+    const loginStart = readMcPacket(buffer, handshake.size);
+    if (!loginStart) return null;
+    if (loginStart.id !== 0x00) throw new Error(`握手后的数据包不是登录开始包 (0x${loginStart.id.toString(16)})`);
+    
+    const username = expectField(readMcString(loginStart.data, 0), '用户名').value;
+    if (username.length === 0 || username.length > MC_MAX_USERNAME_LENGTH) {
+        throw new Error('用户名长度无效');
+    }
+    return { nextState, username };
+}
+
+// 登录阶段的断开连接包，消息为JSON文本组件
+function encodeMinecraftDisconnect(message) {
+    const reason = Buffer.from(JSON.stringify({ text: message }), 'utf8');
+    const body = Buffer.concat([writeVarInt(0x00), writeVarInt(reason.length), reason]);
+    return Buffer.concat([writeVarInt(body.length), body]);
+}
+
+// 在连接进入等待队列前读取握手和登录开始包，未被封禁且在白名单内的玩家通过后调用onAllowed(username)
+// 读取的数据会放回socket，由后续转发原样发送给内网服务器
+function inspectMinecraftLogin(externalSocket, publicPort, onAllowed) {
+    const remoteIP = normalizeAddress(externalSocket.remoteAddress);
+    let buffered = Buffer.alloc(0);
+    
+    const stopInspecting = () => {
+        clearTimeout(timeout);
+        externalSocket.removeListener('data', onData);
+    };
+    
+    const reject = (message) => {
+        stopInspecting();
+        broadcastLog('warning', `Minecraft: 来自 ${remoteIP} 的连接（端口 ${publicPort}）${message}，连接被关闭`);
+        externalSocket.destroy();
+    };
+    
+    const onData = (chunk) => {
+        buffered = Buffer.concat([buffered, chunk]);
+        
+        let login;
+        try {
+            login = parseMinecraftLogin(buffered);
+        } catch (error) {
+            return reject(`无法解析登录数据: ${error.message}`);
         }
         
-        // 保存协议类型
-        portProtocols.set(publicPort, protocol);
+        if (!login) {
+            if (buffered.length > MC_MAX_LOGIN_BYTES) {
+                reject('登录数据过长');
+            }
+            return;
+        }
         
-        let tcpSuccess = true;
-        let udpSuccess = true;
+        stopInspecting();
         
-        // 创建TCP服务器
-        if (protocol === 'tcp' || protocol === 'both') {
-            try {
-                const externalServer = net.createServer((externalSocket) => {
-                    handleExternalConnection(externalSocket, publicPort, localPort, 'tcp');
-                });
-                
-                externalServer.listen(publicPort, () => {
-                    broadcastLog('success', `TCP外部访问服务器已启动: ${publicPort} -> ${localPort}`);
-                    activeServers.set(publicPort, externalServer);
-                });
-                
-                externalServer.on('error', (err) => {
-                    broadcastLog('error', `TCP服务器 ${publicPort} 启动失败: ${err.message}`);
-                    tcpSuccess = false;
-                });
-            } catch (error) {
-                tcpSuccess = false;
-            }
+        const usernameBan = login.username !== undefined ? findUsernameBan(login.username) : null;
+        if (usernameBan) {
+            connectionStats.bannedConnections++;
+            broadcastLog('warning', `Minecraft: 玩家 ${login.username} (${remoteIP}) 已被封禁，已拒绝登录（端口 ${publicPort}）`);
+            kick(usernameBan.reason ? `你已被封禁: ${usernameBan.reason}` : '你已被封禁');
+            return;
         }
         
-        // 创建UDP服务器
-        if (protocol === 'udp' || protocol === 'both') {
-            try {
-                const udpServer = dgram.createSocket('udp4');
-                
-                udpServer.on('message', (msg, rinfo) => {
-                    handleUdpMessage(msg, rinfo, publicPort, localPort);
-                });
-                
-                udpServer.on('listening', () => {
-                    broadcastLog('success', `UDP外部访问服务器已启动: ${publicPort} -> ${localPort}`);
-                    activeUdpServers.set(publicPort, udpServer);
-                });
-                
-                udpServer.on('error', (err) => {
-                    broadcastLog('error', `UDP服务器 ${publicPort} 启动失败: ${err.message}`);
-                    udpSuccess = false;
-                });
-                
-                udpServer.bind(publicPort);
-            } catch (error) {
-                udpSuccess = false;
-            }
+        if (login.username !== undefined && !isMinecraftWhitelisted(login.username)) {
+            connectionStats.minecraftRejections++;
+            broadcastLog('warning', `Minecraft: 玩家 ${login.username} (${remoteIP}) 不在白名单中，已拒绝登录（端口 ${publicPort}）`);
+            kick(getMinecraftConfig().kickMessage);
+            return;
         }
         
-        // 只要有一个协议成功就算成功
-        if (tcpSuccess || udpSuccess) {
-            portMappings.set(localPort, publicPort);
-            connectionStats.activePorts = activeServers.size + activeUdpServers.size;
-            connectionStats.totalMappings = portMappings.size;
-            
-            // 初始化队列和连接池
-            if (!waitingQueue.has(publicPort)) {
-                waitingQueue.set(publicPort, []);
-            }
-            if (!idleLocalSockets.has(publicPort)) {
-                idleLocalSockets.set(publicPort, []);
-            }
-            
-            broadcastStats();
-            return true;
+        if (login.username !== undefined) {
+            broadcastLog('info', `Minecraft: 玩家 ${login.username} (${remoteIP}) 通过白名单检查（端口 ${publicPort}）`);
         }
         
-        return false;
-    } catch (error) {
-        broadcastLog('error', `创建端口映射失败: ${error.message}`);
-        return false;
+        // 暂停读取并放回已读数据，等待与内网连接配对后再转发
+        externalSocket.pause();
+        externalSocket.unshift(buffered);
+        onAllowed(login.username || null);
+    };
+    
+    // 发送断开连接包后关闭连接
+    const kick = (message) => {
+        externalSocket.end(encodeMinecraftDisconnect(message), () => {
+            externalSocket.destroy();
+        });
+        broadcastStats();
+    };
+    
+    const timeout = setTimeout(() => {
+        reject(`${MC_LOGIN_TIMEOUT / 1000}秒内未完成登录握手`);
+    }, MC_LOGIN_TIMEOUT);
+    
+    externalSocket.on('data', onData);
+    externalSocket.on('error', stopInspecting);
+    externalSocket.once('close', () => clearTimeout(timeout));
+    // 经域名路由转来的连接处于暂停状态
+    externalSocket.resume();
+}
+
+// ==================== Minecraft 域名路由 ====================
+// 多个映射共用一个公网端口：共享端口上的玩家按握手包中的服务器地址转给对应映射的端口，之后与直接连接该端口的
+// 玩家走相同的流程（访问控制、限流、白名单、配对）。域名由客户端申请端口时登记，* 接收未匹配任何域名的玩家
+const MC_FALLBACK_HOSTNAME = '*';
+const MC_HOSTNAME_PATTERN = /^(\*|[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*)$/;
+const minecraftRoutes = new Map(); // 域名 -> publicPort
+let minecraftRoutingServer = null;
+
+// 握手包中的服务器地址可能带有 Forge 的 \0FML\0 标记或末尾的点
+function normalizeMinecraftHostname(address) {
+    return String(address || '').split('\0')[0].trim().replace(/\.$/, '').toLowerCase();
+}
+
+// 域名已被其他客户端的端口登记时返回该端口
+function findMinecraftRouteConflict(hostname, publicPort = null) {
+    const routedPort = minecraftRoutes.get(hostname);
+    return routedPort !== undefined && routedPort !== publicPort ? routedPort : null;
+}
+
+// 登记端口的域名，每个端口只保留一个域名，hostname 为空时删除
+function setMinecraftRoute(publicPort, hostname) {
+    minecraftRoutes.forEach((port, name) => {
+        if (port === publicPort) minecraftRoutes.delete(name);
+    });
+    if (hostname) {
+        minecraftRoutes.set(hostname, publicPort);
     }
+    broadcastPortMappings();
 }
 
-// 处理UDP消息
-function handleUdpMessage(msg, rinfo, publicPort, localPort) {
-    const connId = ++connectionId;
-    connectionStats.totalConnections++;
+function getMinecraftRouteHostname(publicPort) {
+    for (const [hostname, port] of minecraftRoutes) {
+        if (port === publicPort) return hostname;
+    }
+    return null;
+}
+
+// 按域名查找目标端口，未登记的域名使用默认路由
+function resolveMinecraftRoute(hostname) {
+    if (minecraftRoutes.has(hostname)) return minecraftRoutes.get(hostname);
+    return minecraftRoutes.get(MC_FALLBACK_HOSTNAME) || null;
+}
+
+function getMappingLocalPort(publicPort) {
+    const entry = Array.from(portMappings.entries()).find(([, port]) => port === publicPort);
+    return entry ? entry[0] : null;
+}
+
+// 读取共享端口上的握手包并转给对应映射，已读数据放回socket，由映射端口的处理流程重新解析
+function handleMinecraftRoutingConnection(externalSocket) {
+    const remoteIP = normalizeAddress(externalSocket.remoteAddress);
+    if (isIpBanned(remoteIP)) {
+        connectionStats.bannedConnections++;
+        externalSocket.destroy();
+        return;
+    }
+    
+    // 等待握手包期间按路由端口占用限流名额，防止大量慢速连接占满路由端口；路由完成后由目标端口重新计数
+    if (!acquireConnectionSlot(MC_ROUTING_PORT, remoteIP)) {
+        externalSocket.destroy();
+        return;
+    }
+    
+    let buffered = Buffer.alloc(0);
+    let slotReleased = false;
+    
+    const stopReading = () => {
+        clearTimeout(timeout);
+        externalSocket.removeListener('data', onData);
+        if (!slotReleased) {
+            slotReleased = true;
+            releaseConnectionSlot(MC_ROUTING_PORT, remoteIP);
+        }
+    };
+    
+    const reject = (message) => {
+        stopReading();
+        broadcastLog('warning', `Minecraft路由: 来自 ${remoteIP} 的连接${message}，连接被关闭`);
+        externalSocket.destroy();
+    };
+    
+    const onData = (chunk) => {
+        buffered = Buffer.concat([buffered, chunk]);
+        
+        let handshake;
+        try {
+            // 1.6及更早版本的服务器列表查询不带服务器地址，交给默认路由
+            handshake = buffered[0] === 0xfe ? { serverAddress: '', nextState: 1 } : parseMinecraftHandshake(buffered);
+        } catch (error) {
+            return reject(`无法解析握手包: ${error.message}`);
+        }
+        
+        if (!handshake) {
+            if (buffered.length > MC_MAX_LOGIN_BYTES) {
+                reject('握手包过长');
+            }
+            return;
+        }
+        
+        stopReading();
+        
+        const hostname = normalizeMinecraftHostname(handshake.serverAddress);
+        const publicPort = resolveMinecraftRoute(hostname);
+        const localPort = publicPort ? getMappingLocalPort(publicPort) : null;
+        if (!localPort) {
+            broadcastLog('warning', `Minecraft路由: 没有与 ${hostname || '(空)'} 匹配的映射，来自 ${remoteIP} 的连接被拒绝`);
+            // 登录时显示断开原因，服务器列表查询直接关闭
+            if (handshake.nextState === 1) {
+                externalSocket.destroy();
+            } else {
+                externalSocket.end(encodeMinecraftDisconnect(MC_ROUTING_CONFIG.kickMessage || '未知的服务器地址'), () => {
+                    externalSocket.destroy();
+                });
+            }
+            return;
+        }
+        
+        broadcastLog('info', `Minecraft路由: ${hostname || '(空)'} -> 端口${publicPort}，来源 ${remoteIP}`);
+        externalSocket.pause();
+        externalSocket.unshift(buffered);
+        handleExternalConnection(externalSocket, publicPort, localPort, 'tcp');
+    };
+    
+    const timeout = setTimeout(() => {
+        reject(`${MC_LOGIN_TIMEOUT / 1000}秒内未发送握手包`);
+    }, MC_LOGIN_TIMEOUT);
+    
+    externalSocket.on('data', onData);
+    externalSocket.on('error', stopReading);
+    externalSocket.once('close', stopReading);
+}
+
+function startMinecraftRoutingServer() {
+    if (!MC_ROUTING_ENABLED) return;
+    
+    minecraftRoutingServer = net.createServer(handleMinecraftRoutingConnection);
+    minecraftRoutingServer.on('error', (err) => {
+        broadcastLog('error', `Minecraft域名路由端口 ${MC_ROUTING_PORT} 发生错误: ${err.message}`);
+    });
+    minecraftRoutingServer.listen(MC_ROUTING_PORT, () => {
+        broadcastLog('success', `Minecraft域名路由已启动，监听端口: ${MC_ROUTING_PORT}`);
+    });
+}
+
+// ==================== 封禁列表 ====================
+// 封禁项: { id, type: 'ip' | 'username', value, reason, createdBy, createdAt, expiresAt }
+// IP封禁支持单个IP或CIDR；玩家名封禁只对Minecraft映射生效；expiresAt为null表示永久封禁
+let bans = loadBans();
+let bannedIpIndex = null; // 生效中IP封禁的BlockList缓存，封禁变化或有封禁到期时重建
+
+function isBanActive(ban, now = Date.now()) {
+    return !ban.expiresAt || new Date(ban.expiresAt).getTime() > now;
+}
+
+function getActiveBans() {
+    const now = Date.now();
+    return bans.filter(ban => isBanActive(ban, now));
+}
+
+function getBannedIpIndex() {
+    const now = Date.now();
+    if (bannedIpIndex && now < bannedIpIndex.nextExpiry) {
+        return bannedIpIndex;
+    }
+    
+    const blockList = new net.BlockList();
+    let nextExpiry = Infinity;
+    getActiveBans().forEach(ban => {
+        if (ban.type === 'ip') {
+            const rule = parseCidr(ban.value);
+            if (rule) {
+                blockList.addSubnet(rule.address, rule.prefix, rule.type);
+            }
+        }
+        if (ban.expiresAt) {
+            nextExpiry = Math.min(nextExpiry, new Date(ban.expiresAt).getTime());
+        }
+    });
+    bannedIpIndex = { blockList, nextExpiry };
+    return bannedIpIndex;
+}
+
+function isIpBanned(address) {
+    const ip = normalizeAddress(address);
+    return getBannedIpIndex().blockList.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+}
+
+function findUsernameBan(username) {
+    const name = username.toLowerCase();
+    return getActiveBans().find(ban => ban.type === 'username' && ban.value.toLowerCase() === name) || null;
+}
+
+function isBannedSource(address, username) {
+    return isIpBanned(address) || Boolean(username && findUsernameBan(username));
+}
+
+// 添加封禁，同一对象已有的封禁会被替换；duration为秒，0表示永久
+function addBan({ type, value, reason = '', duration = 0, createdBy }) {
+    const ban = {
+        id: crypto.randomBytes(8).toString('hex'),
+        type,
+        value,
+        reason,
+        createdBy,
+        createdAt: new Date(),
+        expiresAt: duration > 0 ? new Date(Date.now() + duration * 1000) : null
+    };
+    bans = bans.filter(existing => !(existing.type === type && existing.value.toLowerCase() === value.toLowerCase()));
+    bans.push(ban);
+    bannedIpIndex = null;
+    saveBans(bans);
+    
+    const target = type === 'ip' ? `IP ${value}` : `玩家 ${value}`;
+    const period = duration > 0 ? `${duration} 秒` : '永久';
+    broadcastLog('warning', `${target} 已被封禁（${period}，操作者: ${createdBy}），原因: ${reason || '无'}`);
+    
+    dropBannedConnections();
+    broadcastBans();
+    return ban;
+}
+
+// 解除封禁
+function liftBan(id, liftedBy) {
+    const ban = bans.find(existing => existing.id === id);
+    if (!ban) return null;
+    
+    bans = bans.filter(existing => existing.id !== id);
+    bannedIpIndex = null;
+    saveBans(bans);
+    broadcastLog('info', `${ban.type === 'ip' ? 'IP' : '玩家'} ${ban.value} 的封禁已被 ${liftedBy} 解除`);
+    broadcastBans();
+    return ban;
+}
+
+// 断开来自被封禁来源的连接，包括等待队列中的连接和已建立的连接
+function dropBannedConnections() {
+    waitingQueue.forEach(queue => {
+        queue.forEach(conn => {
+            if (!conn.socket.destroyed && isBannedSource(conn.socket.remoteAddress, conn.username)) {
+                conn.socket.destroy();
+            }
+        });
+    });
+    
+    activeConnections.forEach((connection, connId) => {
+        const closeConnection = connectionClosers.get(connId);
+        if (closeConnection && isBannedSource(connection.externalIP, connection.username)) {
+            broadcastLog('warning', `断开被封禁来源的连接${connId}: ${normalizeAddress(connection.externalIP)}${connection.username ? ` (${connection.username})` : ''}`);
+            closeConnection();
+        }
+    });
+    broadcastStats();
+}
+
+// 清理已到期的封禁
+function cleanupBans() {
+    const now = Date.now();
+    const expired = bans.filter(ban => !isBanActive(ban, now));
+    if (expired.length === 0) return;
+    
+    bans = bans.filter(ban => isBanActive(ban, now));
+    bannedIpIndex = null;
+    saveBans(bans);
+    expired.forEach(ban => {
+        broadcastLog('info', `${ban.type === 'ip' ? 'IP' : '玩家'} ${ban.value} 的封禁已到期`);
+    });
+    broadcastBans();
+}
+
+// 运行中的端口映射及其访问控制信息
+function getPortMappingsInfo() {
+    return Array.from(portMappings.entries()).map(([localPort, publicPort]) => ({
+        localPort,
+        publicPort,
+        protocol: portProtocols.get(publicPort) || 'both',
+        owner: portOwners.get(publicPort) || null,
+        minecraft: isMinecraftPort(publicPort),
+        hostname: getMinecraftRouteHostname(publicPort),
+        active: activeServers.has(publicPort) || activeUdpServers.has(publicPort),
+        multiplexed: muxSessions.has(publicPort),
+        muxStreams: (muxSessions.get(publicPort) || []).reduce((sum, session) => sum + session.streams.size, 0),
+        udpTunnel: udpTunnels.has(publicPort),
+        control: controlChannels.has(publicPort),
+        udpSessions: (udpTunnels.get(publicPort) || []).reduce((sum, tunnel) => sum + tunnel.sessions.size, 0),
+        nativeUdp: getNativeUdpInfo(publicPort),
+        heartbeat: portHeartbeats.get(publicPort) || null,
+        compression: portCompression.get(publicPort) || null,
+        access: portAccessRules.get(publicPort) || { allow: [], deny: [] },
+        inheritedAccess: getConfigAccessRules(publicPort),
+        bandwidth: getPortBandwidthInfo(publicPort),
+        bandwidthOverrides: portBandwidthLimits.get(publicPort) || { upstream: null, downstream: null },
+        inheritedBandwidth: getConfigBandwidthLimits(publicPort),
+        rejections: portRejections.get(publicPort) || 0
+    }));
+}
+
+// 创建Express应用
+const app = express();
+const server = WEB_TLS ? https.createServer(TLS_OPTIONS, app) : http.createServer(app);
+const io = socketIo(server);
+
+// ==================== 登录会话 ====================
+const SESSION_COOKIE = 'proxy_session';
+const SESSION_TTL = 12 * 60 * 60 * 1000; // 会话有效期12小时
+const sessions = new Map(); // sessionId -> { username, expiresAt }
+const loginFailures = new Map(); // ip -> { count, firstFailure }
+const LOGIN_FAILURE_LIMIT = 5;
+const LOGIN_LOCKOUT_WINDOW = 5 * 60 * 1000; // 锁定窗口5分钟
+
+// 无需登录即可访问的路径
+const PUBLIC_PATHS = new Set(['/login.html', '/api/login']);
+// 由内网客户端调用、使用API令牌认证的接口
+const CLIENT_API_PATHS = new Set(['/api/ports/allocate', '/api/ports/release']);
+
+// 解析Cookie请求头，无法解码的Cookie直接忽略，避免格式错误的请求头导致异常
+function parseCookies(header) {
+    const cookies = {};
+    String(header || '').split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            try {
+                cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                // 如 sid=%E0 这样的非法转义
+            }
+        }
+    });
+    return cookies;
+}
+
+// 根据Cookie获取有效会话
+function getSession(cookieHeader) {
+    const sessionId = parseCookies(cookieHeader)[SESSION_COOKIE];
+    const session = sessionId && sessions.get(sessionId);
+    if (!session) {
+        return null;
+    }
+    if (session.expiresAt < Date.now()) {
+        sessions.delete(sessionId);
+        return null;
+    }
+    return { id: sessionId, ...session };
+}
+
+// 管理员登录校验中间件
+function requireAdmin(req, res, next) {
+    if (PUBLIC_PATHS.has(req.path) || CLIENT_API_PATHS.has(req.path)) {
+        return next();
+    }
+    
+    const session = getSession(req.headers.cookie);
+    if (session) {
+        req.admin = session;
+        return next();
+    }
+    
+    if (req.path.startsWith('/api/')) {
+        return res.status(401).json({ success: false, message: '未登录或会话已过期' });
+    }
+    res.redirect('/login.html');
+}
+
+// 清理过期会话和超出锁定窗口的登录失败记录
+function cleanupSessions() {
+    const now = Date.now();
+    sessions.forEach((session, sessionId) => {
+        if (session.expiresAt < now) {
+            sessions.delete(sessionId);
+        }
+    });
+    loginFailures.forEach((failure, ip) => {
+        if (now - failure.firstFailure >= LOGIN_LOCKOUT_WINDOW) {
+            loginFailures.delete(ip);
+        }
+    });
+}
+
+// ==================== 审计日志 ====================
+const AUDIT_QUERY_LIMIT = 1000;
+const AUDIT_READ_CHUNK = 64 * 1024; // 倒序读取审计日志的块大小
+const AUDIT_REDACTED_KEYS = new Set(['secret', 'token', 'password', 'passwordHash']);
+
+// 隐藏审计记录中的密钥和令牌
+function redactSecrets(value, key = '') {
+    if (AUDIT_REDACTED_KEYS.has(key) && value !== undefined && value !== null && value !== '') {
+        return '***';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redactSecrets(item));
+    }
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([childKey, child]) => [childKey, redactSecrets(child, childKey)]));
+    }
+    return value;
+}
+
+// 比较变更前后的配置，返回变更列表 [{ field, before, after }]
+function diffConfig(before, after, field = '', key = '') {
+    const bothArrays = Array.isArray(before) && Array.isArray(after);
+    if (bothArrays || (isPlainObject(before) && isPlainObject(after))) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        return Array.from(keys).flatMap(childKey => {
+            const childField = bothArrays ? `${field}[${childKey}]` : (field ? `${field}.${childKey}` : childKey);
+            return diffConfig(before[childKey], after[childKey], childField, bothArrays ? '' : childKey);
+        });
+    }
+    if (JSON.stringify(before) === JSON.stringify(after)) {
+        return [];
+    }
+    return [{ field, before: redactSecrets(before, key), after: redactSecrets(after, key) }];
+}
+
+// 操作者: 管理员会话、客户端API令牌，未认证时为匿名
+function getAuditActor(req) {
+    if (req && req.admin) return { type: 'admin', name: req.admin.username };
+    if (req && req.apiClient) return { type: 'client', name: req.apiClient.id };
+    return { type: 'anonymous', name: null };
+}
+
+// 追加一条审计记录，audit.log 每行一条JSON，只追加不修改
+function recordAudit(req, action, { actor, target = null, details, changes } = {}) {
+    const entry = {
+        time: new Date().toISOString(),
+        actor: actor || getAuditActor(req),
+        ip: req ? normalizeAddress(req.ip) : null,
+        action,
+        target
+    };
+    if (details) entry.details = details;
+    if (changes) entry.changes = changes;
+    
+    try {
+        fs.appendFileSync(AUDIT_FILE, JSON.stringify(entry) + '\n', { encoding: 'utf8', mode: 0o600 });
+    } catch (error) {
+        console.error('写入审计日志失败:', error);
+    }
+    io.emit('audit-entry', entry);
+    return entry;
+}
+
+// 查询审计日志，按时间倒序返回；action 同时匹配其子操作，如 ban 匹配 ban.add
+function queryAuditLog({ action, actor, since, limit = 100 } = {}) {
+    const sinceTime = since ? Date.parse(since) : NaN;
+    const entries = [];
+    try {
+        if (!fs.existsSync(AUDIT_FILE)) return entries;
+        readLinesReverse(AUDIT_FILE, (line) => {
+            if (!line) return true;
+            
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                return true;
+            }
+            
+            // 记录按时间追加，早于起始时间即可结束
+            if (!Number.isNaN(sinceTime) && Date.parse(entry.time) < sinceTime) return false;
+            if (action && entry.action !== action && !String(entry.action).startsWith(`${action}.`)) return true;
+            if (actor && (!entry.actor || entry.actor.name !== actor)) return true;
+            entries.push(entry);
+            return entries.length < limit;
+        });
+    } catch (error) {
+        console.error('读取审计日志失败:', error);
+    }
+    return entries;
+}
+
+// 从文件末尾按块倒序读取各行，visit 返回 false 时停止，查询最近的记录不必读入整个文件
+function readLinesReverse(file, visit) {
+    const fd = fs.openSync(file, 'r');
+    try {
+        let position = fs.fstatSync(fd).size;
+        let remainder = Buffer.alloc(0); // 跨块的不完整行
+        while (position > 0) {
+            const size = Math.min(AUDIT_READ_CHUNK, position);
+            position -= size;
+            const chunk = Buffer.alloc(size);
+            fs.readSync(fd, chunk, 0, size, position);
+            
+            // 按换行字节切分，UTF-8多字节字符不含该字节，不会被截断
+            const buffer = Buffer.concat([chunk, remainder]);
+            let end = buffer.length;
+            for (let i = buffer.length - 1; i >= 0; i--) {
+                if (buffer[i] !== 0x0a) continue;
+                if (visit(buffer.toString('utf8', i + 1, end)) === false) return;
+                end = i;
+            }
+            remainder = buffer.subarray(0, end);
+        }
+        if (remainder.length > 0) visit(remainder.toString('utf8'));
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// 中间件
+app.use(express.json());
+app.use(requireAdmin);
+app.use(express.static(path.join(__dirname, 'public')));
+
+// 登录接口
+app.post('/api/login', (req, res) => {
+    const { username, password } = req.body || {};
+    const ip = req.ip;
+    
+    // 同一IP在锁定窗口内失败5次后暂时锁定
+    const failure = loginFailures.get(ip);
+    if (failure && failure.count >= LOGIN_FAILURE_LIMIT && Date.now() - failure.firstFailure < LOGIN_LOCKOUT_WINDOW) {
+        return res.status(429).json({ success: false, message: '登录失败次数过多，请5分钟后再试' });
+    }
+    
+    const admin = loadAdmins().find(a => a.username === username);
+    if (!admin || !verifyPassword(password, admin.passwordHash)) {
+        if (!failure || Date.now() - failure.firstFailure >= LOGIN_LOCKOUT_WINDOW) {
+            loginFailures.set(ip, { count: 1, firstFailure: Date.now() });
+        } else {
+            failure.count++;
+        }
+        broadcastLog('warning', `管理员登录失败: ${username || '(空)'}，来源: ${ip}`);
+        recordAudit(req, 'admin.login-failed', { target: `admin:${username || ''}` });
+        return res.status(401).json({ success: false, message: '用户名或密码错误' });
+    }
+    
+    loginFailures.delete(ip);
+    const sessionId = crypto.randomBytes(32).toString('hex');
+    sessions.set(sessionId, { username: admin.username, expiresAt: Date.now() + SESSION_TTL });
+    
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${sessionId}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${SESSION_TTL / 1000}${WEB_TLS ? '; Secure' : ''}`);
+    broadcastLog('info', `管理员 ${admin.username} 已登录，来源: ${ip}`);
+    recordAudit(req, 'admin.login', { actor: { type: 'admin', name: admin.username } });
+    res.json({ success: true, username: admin.username });
+});
+
+// 退出登录
+app.post('/api/logout', (req, res) => {
+    sessions.delete(req.admin.id);
+    recordAudit(req, 'admin.logout');
+    
+    // 断开该会话的实时连接
+    io.sockets.sockets.forEach(socket => {
+        if (socket.data.sessionId === req.admin.id) {
+            socket.disconnect(true);
+        }
+    });
+    
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0${WEB_TLS ? '; Secure' : ''}`);
+    res.json({ success: true, message: '已退出登录' });
+});
+
+// 当前会话信息
+app.get('/api/session', (req, res) => {
+    res.json({ success: true, username: req.admin.username });
+});
+
+// 修改当前管理员密码
+app.post('/api/admin/password', (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+    const admins = loadAdmins();
+    const admin = admins.find(a => a.username === req.admin.username);
+    
+    if (!admin || !verifyPassword(currentPassword, admin.passwordHash)) {
+        return res.status(400).json({ success: false, message: '当前密码错误' });
+    }
+    if (!newPassword || String(newPassword).length < 8) {
+        return res.status(400).json({ success: false, message: '新密码至少需要8个字符' });
+    }
+    
+    admin.passwordHash = hashPassword(String(newPassword));
+    if (!saveAdmins(admins)) {
+        return res.status(500).json({ success: false, message: '保存管理员账户失败' });
+    }
+    
+    broadcastLog('info', `管理员 ${admin.username} 已修改密码`);
+    recordAudit(req, 'admin.password', { target: `admin:${admin.username}` });
+    res.json({ success: true, message: '密码已修改' });
+});
+
+// 管理员账户列表
+app.get('/api/admins', (req, res) => {
+    res.json(loadAdmins().map(a => ({ username: a.username, createdAt: a.createdAt })));
+});
+
+// 添加管理员
+app.post('/api/admins', (req, res) => {
+    const { username, password } = req.body || {};
+    if (!username || !/^[\w.-]{1,32}$/.test(username)) {
+        return res.status(400).json({ success: false, message: '用户名只能包含字母、数字、下划线、点和横线' });
+    }
+    if (!password || String(password).length < 8) {
+        return res.status(400).json({ success: false, message: '密码至少需要8个字符' });
+    }
+    
+    const admins = loadAdmins();
+    if (admins.some(a => a.username === username)) {
+        return res.status(400).json({ success: false, message: '管理员已存在' });
+    }
+    
+    admins.push({ username, passwordHash: hashPassword(String(password)), createdAt: new Date() });
+    if (!saveAdmins(admins)) {
+        return res.status(500).json({ success: false, message: '保存管理员账户失败' });
+    }
+    
+    broadcastLog('info', `管理员 ${req.admin.username} 添加了管理员 ${username}`);
+    recordAudit(req, 'admin.add', { target: `admin:${username}` });
+    res.json({ success: true, message: `管理员 ${username} 已添加` });
+});
+
+// 删除管理员
+app.delete('/api/admins/:username', (req, res) => {
+    const username = req.params.username;
+    if (username === req.admin.username) {
+        return res.status(400).json({ success: false, message: '不能删除当前登录的管理员' });
+    }
+    
+    const admins = loadAdmins();
+    const index = admins.findIndex(a => a.username === username);
+    if (index === -1) {
+        return res.status(404).json({ success: false, message: '管理员不存在' });
+    }
+    
+    admins.splice(index, 1);
+    if (!saveAdmins(admins)) {
+        return res.status(500).json({ success: false, message: '保存管理员账户失败' });
+    }
+    
+    // 使该管理员的会话失效
+    sessions.forEach((session, sessionId) => {
+        if (session.username === username) {
+            sessions.delete(sessionId);
+        }
+    });
+    
+    broadcastLog('info', `管理员 ${req.admin.username} 删除了管理员 ${username}`);
+    recordAudit(req, 'admin.delete', { target: `admin:${username}` });
+    res.json({ success: true, message: `管理员 ${username} 已删除` });
+});
+
+// 客户端API令牌校验（用于端口分配等由内网客户端调用的接口）
+function authenticateClientToken(req, res, next) {
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+        broadcastLog('warning', `拒绝未携带令牌的请求: ${req.method} ${req.path}，来源: ${req.ip}`);
+        return res.status(401).json({ success: false, message: '缺少客户端API令牌' });
+    }
+    
+    const client = findClientByToken(match[1].trim());
+    if (!client) {
+        broadcastLog('warning', `拒绝令牌无效的请求: ${req.method} ${req.path}，来源: ${req.ip}`);
+        return res.status(401).json({ success: false, message: '客户端API令牌无效' });
+    }
+    
+    if (client.enabled === false) {
+        broadcastLog('warning', `拒绝已禁用客户端 ${client.id} 的请求: ${req.method} ${req.path}`);
+        return res.status(403).json({ success: false, message: `客户端 ${client.id} 已被禁用` });
+    }
+    
+    req.apiClient = client;
+    next();
+}
+
+// API路由
+app.get('/api/stats', (req, res) => {
+    res.json({
+        ...connectionStats,
+        rejectionsByPort: Object.fromEntries(portRejections),
+        bandwidthByPort: getBandwidthByPort(),
+        activeBans: getActiveBans().length,
+        activeConnectionsCount: activeConnections.size,
+        uptime: Date.now() - connectionStats.serverStartTime.getTime(),
+        activePorts: activeServers.size,
+        totalMappings: portMappings.size
+    });
+});
+
+// 配置管理API
+app.get('/api/config', (req, res) => {
+    res.json(config);
+});
+
+app.post('/api/config', (req, res) => {
+    try {
+        if (!isPlainObject(req.body)) {
+            return res.status(400).json({ success: false, message: '配置必须是JSON对象' });
+        }
+        
+        const newConfig = { ...config, ...req.body };
+        const errors = validateConfig(newConfig);
+        if (errors.length > 0) {
+            broadcastLog('warning', `配置更新被拒绝: ${formatConfigErrors(errors)}`);
+            return res.status(400).json({
+                success: false,
+                message: `配置校验失败: ${formatConfigErrors(errors)}`,
+                errors
+            });
+        }
+        
+        const changes = diffConfig(config, newConfig);
+        config = newConfig;
+        compiledAccessRules.clear();
+        if (saveConfig(config)) {
+            broadcastLog('success', '配置已更新');
+            recordAudit(req, 'config.update', { target: 'config', changes });
+            broadcastPortMappings();
+            res.json({ success: true, message: '配置保存成功' });
+        } else {
+            res.status(500).json({ success: false, message: '配置保存失败' });
+        }
+    } catch (error) {
+        res.status(400).json({ success: false, message: '配置格式错误' });
+    }
+});
+
+// 端口管理API
+app.get('/api/ports/available', (req, res) => {
+    const availablePorts = getAvailablePorts(config);
+    res.json(availablePorts);
+});
+
+app.get('/api/ports/active', (req, res) => {
+    const activePorts = Array.from(activeServers.keys()).map(port => ({
+        port: port,
+        connections: activeConnections.size,
+        uptime: Date.now() - connectionStats.serverStartTime.getTime()
+    }));
+    res.json(activePorts);
+});
+
+app.post('/api/ports/allocate', authenticateClientToken, (req, res) => {
+    const { protocol = 'both', minecraft = false } = req.body; // 添加协议类型支持
+    const localPort = parseInt(req.body.localPort);
+    const preferredPort = parseInt(req.body.preferredPort) || null;
+    const client = req.apiClient;
+    // 只有服务端开启域名路由且映射为Minecraft映射时才登记域名，否则忽略客户端填写的域名
+    const hostname = MC_ROUTING_ENABLED && minecraft === true && req.body.hostname ? normalizeMinecraftHostname(req.body.hostname) : null;
+    
+    if (!Number.isInteger(localPort) || localPort < 1 || localPort > 65535) {
+        return res.status(400).json({ success: false, message: `无效的本地端口: ${req.body.localPort}` });
+    }
+    if (!MAPPING_PROTOCOLS.includes(protocol)) {
+        return res.status(400).json({ success: false, message: `协议必须是 ${MAPPING_PROTOCOLS.join('、')} 之一` });
+    }
+    if (hostname && !MC_HOSTNAME_PATTERN.test(hostname)) {
+        return res.status(400).json({ success: false, message: `无效的域名: ${req.body.hostname}` });
+    }
+    // 域名已登记到其他端口时拒绝，同一客户端的其他映射也不能静默接管
+    const reusedPort = preferredPort && portOwners.get(preferredPort) === client.id ? preferredPort : null;
+    const routeConflict = hostname ? findMinecraftRouteConflict(hostname, reusedPort) : null;
+    if (routeConflict) {
+        broadcastLog('warning', `客户端 ${client.id} 端口分配被拒绝: 域名 ${hostname} 已被端口 ${routeConflict} 使用`);
+        return res.status(409).json({ success: false, message: `域名 ${hostname} 已被其他映射使用` });
+    }
+    
+    try {
+        // 首选端口已属于该客户端时直接复用，避免重复创建映射。本地端口或协议不一致说明该端口属于客户端的另一个映射
+        if (preferredPort && portOwners.get(preferredPort) === client.id) {
+            const existingLocalPort = getMappingLocalPort(preferredPort);
+            const existingProtocol = portProtocols.get(preferredPort);
+            if (existingLocalPort !== localPort || existingProtocol !== protocol) {
+                broadcastLog('warning', `客户端 ${client.id} 端口分配被拒绝: 端口 ${preferredPort} 已映射为 ${existingLocalPort} (${existingProtocol})`);
+                return res.status(409).json({
+                    success: false,
+                    message: `端口 ${preferredPort} 已被该客户端的其他映射使用: ${existingLocalPort} (${existingProtocol})`
+                });
+            }
+            setMinecraftPort(preferredPort, minecraft);
+            setMinecraftRoute(preferredPort, hostname);
+            broadcastLog('info', `客户端 ${client.id} 复用已有端口映射: ${localPort} -> ${preferredPort}`);
+            recordAudit(req, 'port.allocate', {
+                target: `port:${preferredPort}`,
+                details: { localPort, protocol, minecraft: minecraft === true, hostname, reused: true }
+            });
+            return res.json({
+                success: true,
+                localPort: localPort,
+                publicPort: preferredPort,
+                protocol,
+                message: `端口映射已存在: ${localPort} -> ${preferredPort}`
+            });
+        }
+        
+        // 检查客户端映射数量上限
+        if (client.maxMappings !== undefined && countClientMappings(client.id) >= client.maxMappings) {
+            broadcastLog('warning', `客户端 ${client.id} 端口分配被拒绝: 已达到最大映射数量 ${client.maxMappings}`);
+            return res.status(403).json({
+                success: false,
+                message: `已达到最大映射数量 (${client.maxMappings})`
+            });
+        }
+        
+        let allocatedPort = null;
+        
+        // 只在可用且允许该客户端使用的端口中分配
+        const availablePorts = getAvailablePorts(config)
+            .filter(p => p.enabled && isPortAllowedForClient(client, p.port));
+        
+        if (availablePorts.length === 0) {
+            broadcastLog('warning', `客户端 ${client.id} 端口分配被拒绝: 没有允许使用的端口`);
+            return res.status(403).json({
+                success: false,
+                message: '没有允许该客户端使用的端口'
+            });
+        }
+        
+        if (preferredPort && !isPortOccupied(preferredPort)) {
+            // 检查首选端口是否在可用端口列表中
+            const isPreferredAvailable = availablePorts.some(p => p.port === preferredPort);
+            
+            if (isPreferredAvailable) {
+                allocatedPort = preferredPort;
+            }
+        }
+        
+        if (!allocatedPort) {
+            // 自动分配端口
+            const unoccupiedPorts = availablePorts.filter(p => !isPortOccupied(p.port));
+            
+            if (unoccupiedPorts.length > 0) {
+                allocatedPort = unoccupiedPorts[0].port;
+            }
+        }
+        
+        if (allocatedPort) {
+            // 创建端口映射和服务器
+            const success = createPortMapping(localPort, allocatedPort, protocol);
+            if (success) {
+                portOwners.set(allocatedPort, client.id);
+                setMinecraftPort(allocatedPort, minecraft);
+                setMinecraftRoute(allocatedPort, hostname);
+                broadcastLog('success', `端口分配成功: ${localPort} -> ${allocatedPort} (${protocol})，客户端: ${client.id}${hostname ? `，域名: ${hostname}` : ''}`);
+                recordAudit(req, 'port.allocate', {
+                    target: `port:${allocatedPort}`,
+                    details: { localPort, protocol, minecraft: minecraft === true, hostname }
+                });
+                res.json({
+                    success: true,
+                    localPort: localPort,
+                    publicPort: allocatedPort,
+                    protocol: protocol,
+                    message: `端口映射创建成功: ${localPort} -> ${allocatedPort} (${protocol})`
+                });
+            } else {
+                res.status(500).json({
+                    success: false,
+                    message: '创建端口映射失败'
+                });
+            }
+        } else {
+            res.status(400).json({
+                success: false,
+                message: '没有可用的端口'
+            });
+        }
+    } catch (error) {
+        broadcastLog('error', `端口分配失败: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// 客户端停止或删除映射时释放其公网端口，关闭对外监听后该端口可以重新分配
+app.post('/api/ports/release', authenticateClientToken, (req, res) => {
+    const publicPort = parseInt(req.body.publicPort);
+    const client = req.apiClient;
+    const localPort = getMappingLocalPort(publicPort);
+    
+    if (localPort === null) {
+        return res.status(404).json({ success: false, message: `端口${req.body.publicPort}没有对应的映射` });
+    }
+    if (portOwners.get(publicPort) !== client.id) {
+        broadcastLog('warning', `客户端 ${client.id} 释放端口被拒绝: 端口${publicPort}不属于该客户端`);
+        return res.status(403).json({ success: false, message: `端口${publicPort}不属于客户端 ${client.id}` });
+    }
+    
+    if (!removePortMapping(localPort)) {
+        return res.status(500).json({ success: false, message: '释放端口映射失败' });
+    }
+    broadcastLog('info', `客户端 ${client.id} 已释放端口映射: ${localPort} -> ${publicPort}`);
+    recordAudit(req, 'port.release', { target: `port:${publicPort}`, details: { localPort } });
+    res.json({
+        success: true,
+        publicPort,
+        message: `端口映射已释放: ${localPort} -> ${publicPort}`
+    });
+});
+
+// 更新端口的Minecraft标记
+function setMinecraftPort(publicPort, enabled) {
+    if (enabled === true) {
+        minecraftPorts.add(publicPort);
+    } else {
+        minecraftPorts.delete(publicPort);
+    }
+    broadcastPortMappings();
+}
+
+// 封禁管理API
+app.get('/api/bans', (req, res) => {
+    res.json(getActiveBans());
+});
+
+app.post('/api/bans', (req, res) => {
+    const { type } = req.body;
+    const value = String(req.body.value || '').trim();
+    const reason = String(req.body.reason || '').trim();
+    const duration = req.body.duration === undefined ? 0 : Number(req.body.duration);
+    
+    if (type === 'ip') {
+        if (!parseCidr(value)) {
+            return res.status(400).json({ success: false, message: `无效的IP或CIDR: ${value}` });
+        }
+    } else if (type === 'username') {
+        if (!MC_USERNAME_PATTERN.test(value)) {
+            return res.status(400).json({ success: false, message: `无效的玩家名: ${value}` });
+        }
+    } else {
+        return res.status(400).json({ success: false, message: '封禁类型必须为 ip 或 username' });
+    }
+    
+    if (!Number.isFinite(duration) || duration < 0) {
+        return res.status(400).json({ success: false, message: '封禁时长必须为非负秒数' });
+    }
+    
+    const ban = addBan({
+        type,
+        value: type === 'ip' ? normalizeAddress(value) : value,
+        reason,
+        duration,
+        createdBy: req.admin.username
+    });
+    recordAudit(req, 'ban.add', {
+        target: `${ban.type}:${ban.value}`,
+        details: { id: ban.id, reason, duration }
+    });
+    res.json({ success: true, ban });
+});
+
+app.delete('/api/bans/:id', (req, res) => {
+    const ban = liftBan(req.params.id, req.admin.username);
+    if (!ban) {
+        return res.status(404).json({ success: false, message: '封禁不存在' });
+    }
+    recordAudit(req, 'ban.lift', { target: `${ban.type}:${ban.value}`, details: { id: ban.id } });
+    res.json({ success: true, message: '封禁已解除' });
+});
+
+// Minecraft白名单管理API
+app.get('/api/minecraft/whitelist', (req, res) => {
+    res.json(getMinecraftConfig());
+});
+
+app.put('/api/minecraft/whitelist', (req, res) => {
+    const { enabled, kickMessage } = req.body;
+    const before = getMinecraftConfig();
+    const minecraft = getMinecraftConfig();
+    if (enabled !== undefined) minecraft.enabled = enabled === true;
+    if (kickMessage !== undefined) minecraft.kickMessage = String(kickMessage);
+    
+    config.minecraft = minecraft;
+    if (saveConfig(config)) {
+        broadcastLog('info', `Minecraft白名单已${minecraft.enabled ? '启用' : '停用'}`);
+        recordAudit(req, 'minecraft.whitelist', {
+            target: 'minecraft',
+            changes: diffConfig({ minecraft: before }, { minecraft })
+        });
+        res.json({ success: true, minecraft });
+    } else {
+        res.status(500).json({ success: false, message: '配置保存失败' });
+    }
+});
+
+app.post('/api/minecraft/whitelist', (req, res) => {
+    const username = String(req.body.username || '').trim();
+    if (!MC_USERNAME_PATTERN.test(username)) {
+        return res.status(400).json({ success: false, message: `用户名须为1-${MC_MAX_USERNAME_LENGTH}个字母、数字或下划线` });
+    }
+    
+    const minecraft = getMinecraftConfig();
+    if (minecraft.whitelist.some(name => name.toLowerCase() === username.toLowerCase())) {
+        return res.status(409).json({ success: false, message: '该玩家已在白名单中' });
+    }
+    
+    minecraft.whitelist = [...minecraft.whitelist, username];
+    config.minecraft = minecraft;
+    if (saveConfig(config)) {
+        broadcastLog('success', `玩家 ${username} 已加入Minecraft白名单`);
+        recordAudit(req, 'minecraft.whitelist.add', { target: `player:${username}` });
+        res.json({ success: true, minecraft });
+    } else {
+        res.status(500).json({ success: false, message: '配置保存失败' });
+    }
+});
+
+app.delete('/api/minecraft/whitelist/:username', (req, res) => {
+    const username = req.params.username.toLowerCase();
+    const minecraft = getMinecraftConfig();
+    const whitelist = minecraft.whitelist.filter(name => name.toLowerCase() !== username);
+    if (whitelist.length === minecraft.whitelist.length) {
+        return res.status(404).json({ success: false, message: '该玩家不在白名单中' });
+    }
+    
+    minecraft.whitelist = whitelist;
+    config.minecraft = minecraft;
+    if (saveConfig(config)) {
+        broadcastLog('info', `玩家 ${req.params.username} 已从Minecraft白名单移除`);
+        recordAudit(req, 'minecraft.whitelist.remove', { target: `player:${req.params.username}` });
+        res.json({ success: true, minecraft });
+    } else {
+        res.status(500).json({ success: false, message: '配置保存失败' });
+    }
+});
+
+// 审计日志API
+app.get('/api/audit', (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), AUDIT_QUERY_LIMIT);
+    res.json(queryAuditLog({
+        action: req.query.action,
+        actor: req.query.actor,
+        since: req.query.since,
+        limit
+    }));
+});
+
+app.get('/api/ports/mappings', (req, res) => {
+    res.json(getPortMappingsInfo());
+});
+
+// 修改运行中映射的访问控制规则，立即生效；规则只保存在内存中，映射删除或服务端重启后失效
+app.put('/api/ports/:publicPort/access', (req, res) => {
+    const publicPort = parseInt(req.params.publicPort);
+    if (!portProtocols.has(publicPort)) {
+        return res.status(404).json({
+            success: false,
+            message: '端口映射不存在'
+        });
+    }
+    
+    const allow = normalizeCidrList(req.body.allow);
+    const deny = normalizeCidrList(req.body.deny);
+    const invalid = [...findInvalidCidrs(allow), ...findInvalidCidrs(deny)];
+    if (invalid.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: `无效的IP或CIDR: ${invalid.join(', ')}`
+        });
+    }
+    
+    const before = portAccessRules.get(publicPort) || { allow: [], deny: [] };
+    portAccessRules.set(publicPort, { allow, deny });
+    compiledAccessRules.delete(publicPort);
+    recordAudit(req, 'port.access', {
+        target: `port:${publicPort}`,
+        changes: diffConfig({ access: before }, { access: { allow, deny } })
+    });
+    broadcastLog('info', `端口 ${publicPort} 的访问控制规则已更新: 白名单 ${allow.length} 条，黑名单 ${deny.length} 条`);
+    broadcastPortMappings();
+    res.json({
+        success: true,
+        access: { allow, deny },
+        message: '访问控制规则已更新'
+    });
+});
+
+// 修改运行中映射的带宽限制，立即生效；null 表示沿用端口配置项
+app.put('/api/ports/:publicPort/bandwidth', (req, res) => {
+    const publicPort = parseInt(req.params.publicPort);
+    if (!portProtocols.has(publicPort)) {
+        return res.status(404).json({
+            success: false,
+            message: '端口映射不存在'
+        });
+    }
+    
+    const limits = {};
+    for (const direction of BANDWIDTH_DIRECTIONS) {
+        const value = req.body[direction] === undefined ? null : req.body[direction];
+        if (value !== null && (!Number.isInteger(value) || value < 0)) {
+            return res.status(400).json({
+                success: false,
+                message: `${direction} 必须是不小于0的整数或 null`
+            });
+        }
+        limits[direction] = value;
+    }
+    
+    const before = portBandwidthLimits.get(publicPort) || { upstream: null, downstream: null };
+    portBandwidthLimits.set(publicPort, limits);
+    recordAudit(req, 'port.bandwidth', {
+        target: `port:${publicPort}`,
+        changes: diffConfig({ bandwidth: before }, { bandwidth: limits })
+    });
+    const effective = getPortBandwidthLimits(publicPort);
+    const describe = limit => (limit ? `${limit} 字节/秒` : '不限');
+    broadcastLog('info', `端口 ${publicPort} 的带宽限制已更新: 上行 ${describe(effective.upstream)}，下行 ${describe(effective.downstream)}`);
+    broadcastPortMappings();
+    res.json({
+        success: true,
+        bandwidth: limits,
+        message: '带宽限制已更新'
+    });
+});
+
+app.delete('/api/ports/mapping/:localPort', (req, res) => {
+    const localPort = parseInt(req.params.localPort);
+    const publicPort = portMappings.get(localPort);
+    
+    if (publicPort) {
+        const success = removePortMapping(localPort);
+        if (success) {
+            recordAudit(req, 'port.delete', { target: `port:${publicPort}`, details: { localPort } });
+            res.json({
+                success: true,
+                message: `端口映射已删除: ${localPort} -> ${publicPort}`
+            });
+        } else {
+            res.status(500).json({
+                success: false,
+                message: '删除端口映射失败'
+            });
+        }
+    } else {
+        res.status(404).json({
+            success: false,
+            message: '端口映射不存在'
+        });
+    }
+});
+
+// 创建端口映射
+function createPortMapping(localPort, publicPort, protocol = 'both') {
+    try {
+        if (activeServers.has(publicPort) || activeUdpServers.has(publicPort)) {
+            return false; // 端口已被使用
+        }
+        
+        // 保存协议类型
+        portProtocols.set(publicPort, protocol);
+        
+        let tcpSuccess = true;
+        let udpSuccess = true;
+        
+        // 创建TCP服务器
+        if (protocol === 'tcp' || protocol === 'both') {
+            try {
+                const externalServer = net.createServer((externalSocket) => {
+                    handleExternalConnection(externalSocket, publicPort, localPort, 'tcp');
+                });
+                
+                externalServer.listen(publicPort, () => {
+                    broadcastLog('success', `TCP外部访问服务器已启动: ${publicPort} -> ${localPort}`);
+                    activeServers.set(publicPort, externalServer);
+                });
+                
+                externalServer.on('error', (err) => {
+                    broadcastLog('error', `TCP服务器 ${publicPort} 启动失败: ${err.message}`);
+                    tcpSuccess = false;
+                });
+            } catch (error) {
+                tcpSuccess = false;
+            }
+        }
+        
+        // 创建UDP服务器
+        if (protocol === 'udp' || protocol === 'both') {
+            try {
+                const udpServer = createDualStackUdpSocket();
+                
+                udpServer.on('message', (msg, rinfo) => {
+                    handleUdpMessage(msg, rinfo, publicPort, localPort);
+                });
+                
+                udpServer.on('listening', () => {
+                    broadcastLog('success', `UDP外部访问服务器已启动: ${publicPort} -> ${localPort}`);
+                    activeUdpServers.set(publicPort, udpServer);
+                });
+                
+                udpServer.on('error', (err) => {
+                    broadcastLog('error', `UDP服务器 ${publicPort} 启动失败: ${err.message}`);
+                    udpSuccess = false;
+                });
+                
+                udpServer.bind(publicPort);
+            } catch (error) {
+                udpSuccess = false;
+            }
+        }
+        
+        // 只要有一个协议成功就算成功
+        if (tcpSuccess || udpSuccess) {
+            portMappings.set(localPort, publicPort);
+            connectionStats.activePorts = activeServers.size + activeUdpServers.size;
+            connectionStats.totalMappings = portMappings.size;
+            
+            // 初始化队列和连接池
+            if (!waitingQueue.has(publicPort)) {
+                waitingQueue.set(publicPort, []);
+            }
+            if (!idleLocalSockets.has(publicPort)) {
+                idleLocalSockets.set(publicPort, []);
+            }
+            
+            broadcastStats();
+            broadcastPortMappings();
+            return true;
+        }
+        
+        return false;
+    } catch (error) {
+        broadcastLog('error', `创建端口映射失败: ${error.message}`);
+        return false;
+    }
+}
+
+// 处理UDP消息：按来源地址找到或创建会话，经UDP隧道转发
+function handleUdpMessage(msg, rinfo, publicPort, localPort) {
+    if (isIpBanned(rinfo.address)) {
+        connectionStats.bannedConnections++;
+        return;
+    }
+    
+    if (!isAddressAllowed(publicPort, rinfo.address)) {
+        recordRejection(publicPort, rinfo.address, 'udp');
+        return;
+    }
+    
+    const remoteIP = normalizeAddress(rinfo.address);
+    if (!acceptUdpPacket(publicPort, remoteIP)) {
+        return;
+    }
+    
+    let session = udpSessions.get(getUdpSessionKey(publicPort, rinfo));
+    if (!session) {
+        const tunnel = pickUdpTunnel(publicPort);
+        if (!tunnel) {
+            reportUdpDrop(publicPort, '没有可用的UDP隧道');
+            return;
+        }
+        if (countUdpSessions(publicPort) >= UDP_MAX_SESSIONS_PER_PORT) {
+            reportUdpDrop(publicPort, `UDP会话数已达上限 ${UDP_MAX_SESSIONS_PER_PORT}`);
+            return;
+        }
+        if ((udpSessionsPerIp.get(`${publicPort}|${remoteIP}`) || 0) >= UDP_MAX_SESSIONS_PER_IP) {
+            reportUdpDrop(publicPort, `来自 ${remoteIP} 的UDP会话数已达上限 ${UDP_MAX_SESSIONS_PER_IP}`);
+            return;
+        }
+        // 新会话与TCP连接共用每秒新建数和并发数限制
+        if (!acquireConnectionSlot(publicPort, remoteIP)) {
+            return;
+        }
+        session = openUdpSession(tunnel, rinfo, localPort);
+    }
+    
+    if (!sendTunnelDatagram(session.tunnel, session.id, msg)) {
+        reportUdpDrop(publicPort, 'UDP隧道写缓冲区已满');
+        return;
+    }
+    session.connectionData.bytesTransferred += msg.length;
+    session.idleTimer.refresh();
+    connectionStats.totalDataTransferred += msg.length;
+    connectionStats.lastActivity = new Date();
+}
+
+// 删除端口映射
+function removePortMapping(localPort) {
+    try {
+        const publicPort = portMappings.get(localPort);
+        if (!publicPort) return false;
+        
+        // 关闭TCP服务器
+        const server = activeServers.get(publicPort);
+        if (server) {
+            server.close(() => {
+                broadcastLog('info', `TCP外部服务器 ${publicPort} 已关闭`);
+            });
+            activeServers.delete(publicPort);
+        }
+        
+        // 关闭UDP服务器
+        const udpServer = activeUdpServers.get(publicPort);
+        if (udpServer) {
+            udpServer.close(() => {
+                broadcastLog('info', `UDP外部服务器 ${publicPort} 已关闭`);
+            });
+            activeUdpServers.delete(publicPort);
+        }
+        
+        // 清理连接
+        const queue = waitingQueue.get(publicPort) || [];
+        queue.forEach(conn => {
+            if (!conn.socket.destroyed) {
+                conn.socket.destroy();
+            }
+        });
+        
+        const sockets = idleLocalSockets.get(publicPort) || [];
+        sockets.forEach(socket => {
+            if (!socket.destroyed) {
+                socket.destroy();
+            }
+        });
+        closeMuxSessions(publicPort);
+        closeUdpTunnels(publicPort);
+        closeControlChannel(publicPort);
+        
+        // 清理映射
+        portMappings.delete(localPort);
+        waitingQueue.delete(publicPort);
+        idleLocalSockets.delete(publicPort);
+        portProtocols.delete(publicPort);
+        portOwners.delete(publicPort);
+        minecraftPorts.delete(publicPort);
+        portHeartbeats.delete(publicPort);
+        portCompression.delete(publicPort);
+        setMinecraftRoute(publicPort, null);
+        portAccessRules.delete(publicPort);
+        compiledAccessRules.delete(publicPort);
+        portRejections.delete(publicPort);
+        portBandwidthLimits.delete(publicPort);
+        portBandwidthBuckets.delete(publicPort);
+        
+        connectionStats.activePorts = activeServers.size + activeUdpServers.size;
+        connectionStats.totalMappings = portMappings.size;
+        
+        broadcastStats();
+        broadcastPortMappings();
+        return true;
+    } catch (error) {
+        broadcastLog('error', `删除端口映射失败: ${error.message}`);
+        return false;
+    }
+}
+
+// 广播状态更新到所有连接的客户端
+function broadcastStats() {
+    io.emit('stats-update', {
+        ...connectionStats,
+        rejectionsByPort: Object.fromEntries(portRejections),
+        bandwidthByPort: getBandwidthByPort(),
+        activeBans: getActiveBans().length,
+        activeConnectionsCount: activeConnections.size,
+        uptime: Date.now() - connectionStats.serverStartTime.getTime(),
+        activePorts: activeServers.size,
+        totalMappings: portMappings.size
+    });
+}
+
+// 广播活跃连接列表，定期刷新其中的缓冲字节数
+function broadcastActiveConnections() {
+    io.emit('active-connections', Array.from(activeConnections.values()));
+}
+
+// 广播端口映射列表
+function broadcastPortMappings() {
+    io.emit('port-mappings', getPortMappingsInfo());
+}
+
+// 广播封禁列表
+function broadcastBans() {
+    io.emit('bans-update', getActiveBans());
+}
+
+// 广播连接事件
+function broadcastConnectionEvent(event, data) {
+    io.emit('connection-event', { event, data, timestamp: new Date() });
+}
+
+// 广播日志消息
+function broadcastLog(level, message, data = {}) {
+    const logEntry = { level, message, data, timestamp: new Date() };
+    io.emit('log-message', logEntry);
+    
+    // 同时在服务器控制台输出
+    const timeStr = logEntry.timestamp.toLocaleTimeString();
+    console.log(`[${timeStr}] [${level.toUpperCase()}] ${message}`);
+}
+
+// 处理外部连接
+function handleExternalConnection(externalSocket, publicPort, localPort, protocol = 'tcp') {
+    const remoteIP = normalizeAddress(externalSocket.remoteAddress);
+    if (isIpBanned(remoteIP)) {
+        connectionStats.bannedConnections++;
+        externalSocket.destroy();
+        return;
+    }
+    
+    if (!isAddressAllowed(publicPort, externalSocket.remoteAddress)) {
+        recordRejection(publicPort, externalSocket.remoteAddress, protocol);
+        externalSocket.destroy();
+        return;
+    }
+    
+    if (!acquireConnectionSlot(publicPort, remoteIP)) {
+        externalSocket.destroy();
+        return;
+    }
+    externalSocket.once('close', () => releaseConnectionSlot(publicPort, remoteIP));
+    
+    if (isMinecraftPort(publicPort)) {
+        inspectMinecraftLogin(externalSocket, publicPort, (username) => {
+            enqueueExternalConnection(externalSocket, publicPort, localPort, username);
+        });
+        return;
+    }
+    
+    enqueueExternalConnection(externalSocket, publicPort, localPort);
+}
+
+// 将外部连接加入等待队列，等待与内网连接配对
+function enqueueExternalConnection(externalSocket, publicPort, localPort, username = null) {
+    const connId = ++connectionId;
+    connectionStats.totalConnections++;
+    
+    broadcastLog('info', `外部用户${connId}连接到端口${publicPort}: ${externalSocket.remoteAddress}`);
+    
+    const connectionInfo = {
+        id: connId,
+        socket: externalSocket,
+        timestamp: Date.now(),
+        publicPort: publicPort,
+        localPort: localPort,
+        username: username
+    };
+    
+    const queue = waitingQueue.get(publicPort) || [];
+    queue.push(connectionInfo);
+    waitingQueue.set(publicPort, queue);
+    
+    broadcastLog('info', `外部连接${connId}加入端口${publicPort}等待队列，当前队列长度: ${queue.length}`);
+    
+    tryMatchConnections(publicPort);
+    
+    const timeout = setTimeout(() => {
+        const currentQueue = waitingQueue.get(publicPort) || [];
+        const index = currentQueue.findIndex(conn => conn.id === connId);
+        if (index !== -1) {
+            currentQueue.splice(index, 1);
+            waitingQueue.set(publicPort, currentQueue);
+            broadcastLog('warning', `外部用户${connId}等待超时(60s)，连接被关闭`);
+            if (!externalSocket.destroyed) {
+                externalSocket.end();
+            }
+        }
+    }, 60000);
+    
+    externalSocket.on('close', () => {
+        clearTimeout(timeout);
+        const currentQueue = waitingQueue.get(publicPort) || [];
+        const index = currentQueue.findIndex(conn => conn.id === connId);
+        if (index !== -1) {
+            currentQueue.splice(index, 1);
+            waitingQueue.set(publicPort, currentQueue);
+            broadcastLog('info', `外部用户${connId}主动断开，已从队列移除`);
+        }
+        broadcastStats();
+    });
+    
+    externalSocket.on('error', (err) => {
+        clearTimeout(timeout);
+        const currentQueue = waitingQueue.get(publicPort) || [];
+        const index = currentQueue.findIndex(conn => conn.id === connId);
+        if (index !== -1) {
+            currentQueue.splice(index, 1);
+            waitingQueue.set(publicPort, currentQueue);
+            broadcastLog('error', `外部用户${connId}发生错误: ${err.code || err.message}`);
+        }
+        broadcastStats();
+    });
+}
+
+// 连接匹配函数（针对特定端口）
+function tryMatchConnections(publicPort) {
+    const queue = waitingQueue.get(publicPort) || [];
+    const sockets = idleLocalSockets.get(publicPort) || [];
+    
+    // 有多路复用隧道时为每个外部连接立即打开一个流
+    let session = pickMuxSession(publicPort);
+    while (queue.length > 0 && session) {
+        const connectionInfo = queue.shift();
+        if (connectionInfo.socket.destroyed) {
+            continue;
+        }
+        
+        const stream = openMuxStream(session, connectionInfo);
+        establishConnection(connectionInfo.socket, stream, connectionInfo.id, publicPort, connectionInfo.localPort, connectionInfo.username);
+        session = pickMuxSession(publicPort);
+    }
+    
+    while (queue.length > 0 && sockets.length > 0) {
+        const connectionInfo = queue.shift();
+        const externalSocket = connectionInfo.socket;
+        const connId = connectionInfo.id;
+        
+        const localSocket = sockets.shift();
+        
+        if (externalSocket.destroyed) {
+            broadcastLog('warning', `代理${connId}的外部连接已断开，尝试下一个连接`);
+            continue;
+        }
+        
+        if (localSocket.destroyed) {
+            broadcastLog('warning', '内网连接已断开，尝试下一个连接');
+            continue;
+        }
+        
+        // 启用心跳的连接要等客户端确认后才开始转发
+        const heartbeat = idleHeartbeats.get(localSocket);
+        if (heartbeat) {
+            heartbeat.match(connectionInfo);
+            continue;
+        }
+        
+        if (connectionInfoSockets.has(localSocket)) {
+            localSocket.write(encodeJsonFrame(FrameType.STREAM_OPEN, describeExternalConnection(connectionInfo)));
+        }
+        establishConnection(externalSocket, localSocket, connId, publicPort, connectionInfo.localPort, connectionInfo.username);
+    }
+    
+    waitingQueue.set(publicPort, queue);
+    idleLocalSockets.set(publicPort, sockets);
+    
+    // 仍有外部连接在等待时通知客户端立即补充连接
+    if (queue.length > 0) {
+        requestIdleConnections(publicPort);
+    }
+    broadcastStats();
+}
+
+// 一端关闭后等待另一端发完剩余数据的最长时间
+const CONNECTION_DRAIN_TIMEOUT = 10000;
+
+// 建立连接函数（更新版）
+function establishConnection(externalSocket, localSocket, connId, publicPort, localPort, username = null) {
+    broadcastLog('success', `代理${connId}建立连接映射: ${publicPort} -> ${localPort}`, {
+        connId,
+        externalIP: externalSocket.remoteAddress,
+        localIP: localSocket.remoteAddress,
+        publicPort: publicPort,
+        localPort: localPort
+    });
+    
+    // 记录活跃连接
+    const connectionData = {
+        id: connId,
+        externalIP: externalSocket.remoteAddress,
+        localIP: localSocket.remoteAddress,
+        publicPort: publicPort,
+        localPort: localPort,
+        username: username,
+        startTime: new Date(),
+        bytesTransferred: 0,
+        bufferedBytes: 0 // 已读取但尚未发出的字节数，持续较大说明对端读取缓慢
+    };
+    activeConnections.set(connId, connectionData);
+    connectionStats.activeConnections++;
+    
+    broadcastConnectionEvent('established', connectionData);
+    
+    let isConnectionActive = true;
+    
+    // 协商了压缩的连接经压缩流读写隧道
+    const compression = compressedSockets.get(localSocket);
+    const codec = compression
+        ? attachTunnelCompression(localSocket, compression, [connectionStats.compression, getPortCompressionStats(publicPort, compression)])
+        : null;
+    const tunnelReader = codec ? codec.decompressor : localSocket;
+    const tunnelWriter = codec ? codec.compressor : localSocket;
+    
+    const updateBufferedBytes = () => {
+        connectionData.bufferedBytes = externalSocket.writableLength + tunnelWriter.writableLength +
+            (codec ? localSocket.writableLength : 0);
+    };
+    
+    // 目标的写缓冲区已满时暂停读取来源，目标排空（drain）后再恢复，避免慢速的一方让内存无限增长。
+    // 超出端口带宽限制时同样暂停读取，所有暂停原因都解除后才恢复
+    const createDataForwarder = (sourceSocket, targetSocket, direction, bandwidthDirection) => {
+        let blockers = 0;
+        const blockSource = () => {
+            if (blockers++ === 0) {
+                sourceSocket.pause();
+            }
+        };
+        const unblockSource = () => {
+            updateBufferedBytes();
+            if (--blockers === 0 && isConnectionActive) {
+                sourceSocket.resume();
+            }
+        };
+        
+        return (data) => {
+            if (isConnectionActive && !targetSocket.destroyed) {
+                if (!targetSocket.write(data)) {
+                    blockSource();
+                    targetSocket.once('drain', unblockSource);
+                }
+                const delay = takePortBandwidth(publicPort, bandwidthDirection, data.length);
+                if (delay > 0) {
+                    blockSource();
+                    setTimeout(unblockSource, delay);
+                }
+                updateBufferedBytes();
+                
+                // 更新数据传输统计
+                const connection = activeConnections.get(connId);
+                if (connection) {
+                    connection.bytesTransferred += data.length;
+                    connectionStats.totalDataTransferred += data.length;
+                    connectionStats.lastActivity = new Date();
+                }
+            }
+        };
+    };
+    
+    const forwardExternalToLocal = createDataForwarder(externalSocket, tunnelWriter, '外部→内网', 'upstream');
+    const forwardLocalToExternal = createDataForwarder(tunnelReader, externalSocket, '内网→外部', 'downstream');
+    
+    externalSocket.on('data', forwardExternalToLocal);
+    tunnelReader.on('data', forwardLocalToExternal);
+    // 一方结束时把已读到的数据转发完再结束另一方
+    externalSocket.on('end', () => tunnelWriter.end());
+    tunnelReader.on('end', () => externalSocket.end());
+    // 经过Minecraft登录检查的连接处于暂停状态
+    externalSocket.resume();
+    
+    let drainTimer = null;
+    const cleanupConnection = () => {
+        if (!isConnectionActive) return;
+        isConnectionActive = false;
+        clearTimeout(drainTimer);
+        
+        broadcastLog('info', `代理${connId}连接结束，开始清理资源`);
+        
+        // 更新统计信息
+        const connection = activeConnections.get(connId);
+        if (connection) {
+            connectionStats.activeConnections--;
+            broadcastConnectionEvent('closed', {
+                ...connection,
+                endTime: new Date(),
+                duration: Date.now() - connection.startTime.getTime()
+            });
+            activeConnections.delete(connId);
+        }
+        connectionClosers.delete(connId);
+        
+        externalSocket.removeListener('data', forwardExternalToLocal);
+        tunnelReader.removeListener('data', forwardLocalToExternal);
+        if (codec) {
+            codec.close();
+        }
+        
+        if (!externalSocket.destroyed) {
+            externalSocket.destroy();
+        }
+        if (!localSocket.destroyed) {
+            localSocket.destroy();
+        }
+        
+        broadcastStats();
+    };
+    
+    connectionClosers.set(connId, cleanupConnection);
+    
+    // 正常关闭的一端不立即销毁另一端，等它把写缓冲区中的数据发完自行关闭，超时后再强制清理
+    const finishConnection = (otherSocket) => {
+        if (otherSocket.destroyed) {
+            cleanupConnection();
+        } else if (!drainTimer) {
+            drainTimer = setTimeout(cleanupConnection, CONNECTION_DRAIN_TIMEOUT);
+        }
+    };
+    
+    externalSocket.on('close', () => {
+        broadcastLog('info', `外部用户${connId}连接已关闭`);
+        finishConnection(localSocket);
+    });
+    
+    externalSocket.on('error', (err) => {
+        broadcastLog('error', `外部用户${connId}连接发生错误: ${err.code || err.message}`);
+        cleanupConnection();
+    });
+    
+    localSocket.on('close', () => {
+        broadcastLog('info', `内网客户端${connId}连接已关闭`);
+        finishConnection(externalSocket);
+    });
+    
+    localSocket.on('error', (err) => {
+        broadcastLog('error', `内网客户端${connId}连接发生错误: ${err.code || err.message}`);
+        cleanupConnection();
+    });
+    
+    broadcastStats();
+}
+
+// ==================== 隧道帧协议 ====================
+// 帧格式: [类型 1字节][流ID 4字节][负载长度 4字节][负载]
+// 握手等控制帧的流ID固定为0，负载为JSON
+const FRAME_HEADER_SIZE = 9;
+const MAX_FRAME_SIZE = 1024 * 1024;
+const FrameType = {
+    CHALLENGE: 0x01,   // 服务端 -> 客户端: 认证挑战
+    AUTH: 0x02,        // 客户端 -> 服务端: 认证信息
+    AUTH_OK: 0x03,     // 服务端 -> 客户端: 认证通过
+    AUTH_FAILED: 0x04, // 服务端 -> 客户端: 认证失败
+    HELLO: 0x05,       // 客户端 -> 服务端: 协议版本和支持的功能
+    WELCOME: 0x06,     // 服务端 -> 客户端: 协商后的版本和功能
+    REJECT: 0x07,      // 服务端 -> 客户端: 拒绝协商，负载带原因
+    PING: 0x08,        // 客户端 -> 服务端: 空闲连接心跳，流ID为序号，负载为上一次测得的RTT(JSON)
+    PONG: 0x09,        // 服务端 -> 客户端: 心跳应答，流ID与 PING 相同
+    STREAM_OPEN: 0x10,   // 服务端 -> 客户端: 打开流，负载为外部连接信息(JSON)；普通连接上流ID为0，在转发数据前发送
+    STREAM_DATA: 0x11,   // 双向: 流数据
+    STREAM_CLOSE: 0x12,  // 双向: 关闭流
+    STREAM_WINDOW: 0x13, // 双向: 归还发送窗口，负载为4字节增量
+    UDP_OPEN: 0x20,      // 服务端 -> 客户端: 打开UDP会话，负载为外部地址信息(JSON)
+    UDP_DATA: 0x21,      // 双向: 一个完整的UDP数据报
+    UDP_CLOSE: 0x22,     // 双向: 关闭UDP会话
+    DEMAND: 0x30         // 服务端 -> 客户端: 端口有外部连接在等待，负载为 { port, waiting }(JSON)
+};
+
+// 编码一个帧
+function encodeFrame(type, id, payload = Buffer.alloc(0)) {
+    const header = Buffer.alloc(FRAME_HEADER_SIZE);
+    header.writeUInt8(type, 0);
+    header.writeUInt32BE(id, 1);
+    header.writeUInt32BE(payload.length, 5);
+    return Buffer.concat([header, payload]);
+}
+
+// 编码一个JSON控制帧
+function encodeJsonFrame(type, data) {
+    return encodeFrame(type, 0, Buffer.from(JSON.stringify(data), 'utf8'));
+}
+
+// 解析JSON控制帧负载
+function parseJsonPayload(frame) {
+    return JSON.parse(frame.payload.toString('utf8'));
+}
+
+// 创建流式帧解码器，onFrame 返回 false 时停止解析，剩余数据可通过 takeRemainder 取出
+function createFrameDecoder(onFrame) {
+    let buffer = Buffer.alloc(0);
+    
+    return {
+        push(chunk) {
+            buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+            
+            while (buffer.length >= FRAME_HEADER_SIZE) {
+                const length = buffer.readUInt32BE(5);
+                if (length > MAX_FRAME_SIZE) {
+                    throw new Error(`帧长度超出限制: ${length}字节`);
+                }
+                if (buffer.length < FRAME_HEADER_SIZE + length) {
+                    break;
+                }
+                
+                const frame = {
+                    type: buffer.readUInt8(0),
+                    id: buffer.readUInt32BE(1),
+                    payload: buffer.slice(FRAME_HEADER_SIZE, FRAME_HEADER_SIZE + length)
+                };
+                buffer = buffer.slice(FRAME_HEADER_SIZE + length);
+                
+                if (onFrame(frame) === false) {
+                    break;
+                }
+            }
+        },
+        takeRemainder() {
+            const remainder = buffer;
+            buffer = Buffer.alloc(0);
+            return remainder;
+        }
+    };
+}
+
+// ==================== 协议协商 ====================
+// 客户端收到 CHALLENGE 后先发送 HELLO 声明协议版本、客户端ID和支持的功能，服务端以 WELCOME 回复双方都支持的功能，
+// 或以 REJECT 说明原因，之后才进行认证。版本1没有 HELLO，未发送 HELLO 直接认证的旧版客户端只能使用普通连接池；
+// 发送 HELLO 的客户端至少为版本2
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 2; // HELLO 中可接受的最低版本，版本1的客户端不发送 HELLO
+const ProtocolFeature = {
+    MUX: 'mux',                        // 多路复用隧道
+    UDP: 'udp',                        // UDP帧隧道
+    NATIVE_UDP: 'nativeUdp',           // 原生UDP通道
+    CONNECTION_INFO: 'connectionInfo', // 普通连接转发前发送外部连接信息
+    HEARTBEAT: 'heartbeat',            // 空闲连接心跳
+    COMPRESSION: 'compression',        // 隧道数据压缩
+    CONTROL: 'control'                 // 控制通道，服务端按需请求空闲连接
+};
+
+// 当前可提供的功能，原生UDP通道只在端口监听成功后提供
+function getServerFeatures() {
+    return Object.values(ProtocolFeature)
+        .filter(feature => feature !== ProtocolFeature.NATIVE_UDP || nativeUdpReady);
+}
+
+// 协商协议版本和功能，返回 { success, version, features } 或 { success: false, code, message }
+function negotiateProtocol(hello) {
+    const clientVersion = hello.version;
+    if (!Number.isInteger(clientVersion) || clientVersion < 1) {
+        return { success: false, code: 'BAD_HELLO', message: '协议版本格式错误' };
+    }
+    
+    // 双方都支持的最高版本
+    const version = Math.min(clientVersion, PROTOCOL_VERSION);
+    const clientMinVersion = Number.isInteger(hello.minVersion) ? hello.minVersion : clientVersion;
+    if (version < MIN_PROTOCOL_VERSION || version < clientMinVersion) {
+        return {
+            success: false,
+            code: 'VERSION_UNSUPPORTED',
+            message: `协议版本不兼容: 客户端支持 ${clientMinVersion}-${clientVersion}，服务器支持 ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION}，请升级${clientVersion < MIN_PROTOCOL_VERSION ? '客户端' : '服务器'}`
+        };
+    }
+    
+    const client = (config.clients || []).find(c => c.id === hello.clientId);
+    if (!client || client.enabled === false) {
+        return { success: false, code: 'UNKNOWN_CLIENT', message: `未知或已禁用的客户端: ${hello.clientId}` };
+    }
+    
+    const requested = Array.isArray(hello.features) ? hello.features : [];
+    const features = getServerFeatures().filter(feature => requested.includes(feature));
+    return { success: true, version, features };
+}
+
+// 计算认证签名: HMAC-SHA256(secret, nonce:clientId:port)
+function computeAuthDigest(secret, nonce, clientId, port) {
+    return crypto.createHmac('sha256', secret)
+        .update(`${nonce}:${clientId}:${port}`)
+        .digest();
+}
+
+// 校验客户端认证信息
+function verifyClientAuth(auth, nonce) {
+    const client = (config.clients || []).find(c => c.id === auth.clientId);
+    if (!client || client.enabled === false) {
+        return { success: false, message: `未知或已禁用的客户端: ${auth.clientId}` };
+    }
+    
+    const expected = computeAuthDigest(client.secret, nonce, auth.clientId, auth.port);
+    const provided = Buffer.from(String(auth.digest || ''), 'hex');
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return { success: false, message: '签名校验失败' };
+    }
+    
+    return { success: true, client };
+}
+
+// ==================== 隧道压缩 ====================
+// 客户端映射开启压缩后在认证时声明算法，服务端在 AUTH_OK 中确认。之后该连接（或多路复用隧道的每个流）上
+// 转发的数据以 deflate/brotli 流压缩，每次写入后立即刷新，不会为了压缩率而积压数据
+const COMPRESSION_ALGORITHMS = ['deflate', 'brotli'];
+const BROTLI_QUALITY = 5; // brotli 默认的11级过于消耗CPU
+const BROTLI_WINDOW_BITS = 18; // 限制窗口以控制每个连接的内存占用
+
+// 创建一对压缩、解压流
+function createCompressionStreams(algorithm) {
+    if (algorithm === 'brotli') {
+        return {
+            compressor: zlib.createBrotliCompress({
+                flush: zlib.constants.BROTLI_OPERATION_FLUSH,
+                params: {
+                    [zlib.constants.BROTLI_PARAM_QUALITY]: BROTLI_QUALITY,
+                    [zlib.constants.BROTLI_PARAM_LGWIN]: BROTLI_WINDOW_BITS
+                }
+            }),
+            decompressor: zlib.createBrotliDecompress()
+        };
+    }
+    return {
+        compressor: zlib.createDeflateRaw({ flush: zlib.constants.Z_SYNC_FLUSH }),
+        decompressor: zlib.createInflateRaw()
+    };
+}
+
+// 端口的压缩统计
+function getPortCompressionStats(publicPort, algorithm) {
+    const stats = portCompression.get(publicPort) || { algorithm, rawBytes: 0, compressedBytes: 0 };
+    stats.algorithm = algorithm;
+    portCompression.set(publicPort, stats);
+    return stats;
+}
+
+// 在隧道连接上启用压缩：写入 compressor 的数据压缩后发往隧道，隧道收到的数据解压后从 decompressor 读出。
+// counters 中的每个统计对象都会累计原始字节数（rawBytes）和隧道上实际传输的字节数（compressedBytes）
+function attachTunnelCompression(tunnelSocket, algorithm, counters) {
+    const { compressor, decompressor } = createCompressionStreams(algorithm);
+    const count = (rawBytes, compressedBytes) => {
+        counters.forEach(counter => {
+            counter.rawBytes += rawBytes;
+            counter.compressedBytes += compressedBytes;
+        });
+    };
     
-    broadcastLog('info', `UDP消息从 ${rinfo.address}:${rinfo.port} 到端口 ${publicPort}，大小: ${msg.length}字节`);
+    // 每次写入都会刷新输出，bytesWritten 的增量即这段输出对应的原始字节数
+    let compressedInput = 0;
+    // 两个方向都遵循背压：隧道写满时暂停压缩输出，解压跟不上时暂停读取隧道
+    compressor.on('data', (chunk) => {
+        count(compressor.bytesWritten - compressedInput, chunk.length);
+        compressedInput = compressor.bytesWritten;
+        if (!tunnelSocket.destroyed && !tunnelSocket.write(chunk)) {
+            compressor.pause();
+            tunnelSocket.once('drain', () => compressor.resume());
+        }
+    });
+    decompressor.on('data', (chunk) => count(chunk.length, 0));
     
-    // 获取空闲的本地连接来转发UDP数据
-    const sockets = idleLocalSockets.get(publicPort) || [];
+    const push = (chunk) => {
+        count(0, chunk.length);
+        if (!decompressor.write(chunk)) {
+            tunnelSocket.pause();
+            decompressor.once('drain', () => tunnelSocket.resume());
+        }
+    };
+    tunnelSocket.on('data', push);
+    // 隧道结束时解压流输出剩余数据后结束，压缩流结束后再结束隧道
+    tunnelSocket.on('end', () => decompressor.end());
+    compressor.on('end', () => tunnelSocket.end());
     
-    if (sockets.length === 0) {
-        broadcastLog('warning', `端口 ${publicPort} 没有可用的内网连接来转发UDP数据`);
-        return;
-    }
+    // 数据损坏等错误按隧道连接出错处理
+    const onError = (error) => tunnelSocket.destroy(new Error(`${algorithm}压缩流错误: ${error.message}`));
+    compressor.on('error', onError);
+    decompressor.on('error', onError);
     
-    // 使用第一个可用的本地连接
-    const localSocket = sockets.shift();
-    idleLocalSockets.set(publicPort, sockets);
+    return {
+        compressor,
+        decompressor,
+        close() {
+            tunnelSocket.removeListener('data', push);
+            compressor.destroy();
+            decompressor.destroy();
+        }
+    };
+}
+
+// ==================== 多路复用隧道 ====================
+// 客户端以 mux 模式认证后，一条隧道连接可承载任意多个流，每个外部连接打开一个流，
+// 无需等待空闲连接。每个流有独立的发送窗口，对端消费数据后通过 STREAM_WINDOW 归还
+const MUX_INITIAL_WINDOW = 256 * 1024;
+const MUX_MAX_DATA_SIZE = 64 * 1024;
+
+// 创建多路复用会话，接管已完成认证的隧道连接
+function createMuxSession(tunnelSocket, publicPort, clientId) {
+    const session = {
+        socket: tunnelSocket,
+        publicPort,
+        clientId,
+        streams: new Map(), // streamId -> 流控制对象
+        nextStreamId: 1,
+        closed: false
+    };
     
-    if (localSocket.destroyed) {
-        broadcastLog('warning', '选中的内网连接已断开，重新尝试');
-        handleUdpMessage(msg, rinfo, publicPort, localPort); // 递归重试
-        return;
-    }
+    const decoder = createFrameDecoder((frame) => {
+        const stream = session.streams.get(frame.id);
+        switch (frame.type) {
+            case FrameType.STREAM_DATA:
+                if (stream) stream.receive(frame.payload);
+                break;
+            case FrameType.STREAM_WINDOW:
+                if (stream && frame.payload.length >= 4) stream.grant(frame.payload.readUInt32BE(0));
+                break;
+            case FrameType.STREAM_CLOSE:
+                if (stream) stream.remoteClose();
+                break;
+            default:
+                throw new Error(`意外的多路复用帧类型: ${frame.type}`);
+        }
+    });
     
-    // 创建UDP转发连接记录
-    const connectionData = {
-        id: connId,
-        externalIP: rinfo.address,
-        externalPort: rinfo.port,
-        publicPort: publicPort,
-        localPort: localPort,
-        startTime: new Date(),
-        bytesTransferred: msg.length,
-        isUDP: true
+    const closeSession = () => {
+        if (session.closed) return;
+        session.closed = true;
+        
+        const sessions = (muxSessions.get(publicPort) || []).filter(item => item !== session);
+        if (sessions.length > 0) {
+            muxSessions.set(publicPort, sessions);
+        } else {
+            muxSessions.delete(publicPort);
+        }
+        
+        const streamCount = session.streams.size;
+        session.streams.forEach(stream => stream.remoteClose());
+        session.streams.clear();
+        broadcastLog('warning', `端口${publicPort}的多路复用隧道已断开，关闭 ${streamCount} 个流`);
+        broadcastPortMappings();
+        broadcastStats();
     };
     
-    activeConnections.set(connId, connectionData);
-    connectionStats.activeConnections++;
+    session.push = (data) => {
+        try {
+            decoder.push(data);
+        } catch (error) {
+            broadcastLog('error', `端口${publicPort}的多路复用隧道协议错误: ${error.message}`);
+            tunnelSocket.destroy();
+        }
+    };
     
-    broadcastLog('success', `UDP代理${connId}建立: ${rinfo.address}:${rinfo.port} -> ${publicPort} -> ${localPort}`);
-    broadcastConnectionEvent('established', connectionData);
+    tunnelSocket.on('data', session.push);
+    tunnelSocket.on('close', closeSession);
+    tunnelSocket.on('error', (err) => {
+        broadcastLog('error', `端口${publicPort}的多路复用隧道发生错误: ${err.code || err.message}`);
+        closeSession();
+    });
     
-    // 包装UDP数据包，添加客户端信息头
-    const clientInfo = Buffer.alloc(8);
-    // 写入客户端IP（假设IPv4）
-    const ipParts = rinfo.address.split('.');
-    for (let i = 0; i < 4; i++) {
-        clientInfo.writeUInt8(parseInt(ipParts[i]) || 0, i);
-    }
-    // 写入客户端端口
-    clientInfo.writeUInt16BE(rinfo.port, 4);
-    // 写入数据长度
-    clientInfo.writeUInt16BE(msg.length, 6);
+    const sessions = muxSessions.get(publicPort) || [];
+    sessions.push(session);
+    muxSessions.set(publicPort, sessions);
+    broadcastLog('success', `客户端 ${clientId} 已建立端口${publicPort}的多路复用隧道`);
+    broadcastPortMappings();
+    return session;
+}
+
+// 选择承载流最少的多路复用会话
+function pickMuxSession(publicPort) {
+    const sessions = (muxSessions.get(publicPort) || []).filter(session => !session.closed && !session.socket.destroyed);
+    if (sessions.length === 0) return null;
+    return sessions.reduce((best, session) => (session.streams.size < best.streams.size ? session : best));
+}
+
+// 创建流并登记到会话，返回可像socket一样读写的Duplex流
+function createMuxStream(session, streamId) {
+    const sendFrame = (type, payload) => {
+        if (!session.closed && !session.socket.destroyed) {
+            session.socket.write(encodeFrame(type, streamId, payload));
+        }
+    };
     
-    const wrappedData = Buffer.concat([clientInfo, msg]);
+    let sendWindow = MUX_INITIAL_WINDOW;
+    let pendingWrite = null; // 等待发送窗口的数据 { chunk, callback }
+    let pendingFinal = null; // 本端结束写入后等待剩余数据发出的回调
+    let unacknowledged = 0;  // 已收到但尚未归还窗口的字节数
+    let remoteClosed = false;
+    let closeSent = false;
+    let readEnded = false;
     
-    // 通过TCP连接转发包装后的UDP数据
-    localSocket.write(wrappedData);
+    const sendClose = () => {
+        if (!remoteClosed && !closeSent) {
+            closeSent = true;
+            sendFrame(FrameType.STREAM_CLOSE);
+        }
+    };
     
-    connectionStats.totalDataTransferred += msg.length;
-    connectionStats.lastActivity = new Date();
+    const endRead = () => {
+        if (!readEnded) {
+            readEnded = true;
+            stream.push(null);
+        }
+    };
     
-    // 设置响应处理
-    const responseHandler = (data) => {
-        // 检查是否是UDP响应数据
-        if (data.length >= 8) {
-            const responseLength = data.readUInt16BE(6);
-            if (data.length >= 8 + responseLength) {
-                // 提取UDP响应数据
-                const responseMsg = data.slice(8, 8 + responseLength);
-                
-                // 发送UDP响应回外部客户端
-                const udpServer = activeUdpServers.get(publicPort);
-                if (udpServer) {
-                    udpServer.send(responseMsg, rinfo.port, rinfo.address, (err) => {
-                        if (err) {
-                            broadcastLog('error', `UDP响应发送失败: ${err.message}`);
-                        } else {
-                            broadcastLog('info', `UDP响应已发送回 ${rinfo.address}:${rinfo.port}，大小: ${responseMsg.length}字节`);
-                            connectionData.bytesTransferred += responseMsg.length;
-                            connectionStats.totalDataTransferred += responseMsg.length;
-                        }
-                    });
-                }
-                
-                // 清理连接
-                activeConnections.delete(connId);
-                connectionStats.activeConnections--;
-                broadcastConnectionEvent('closed', connectionData);
-                
-                // 移除响应处理器
-                localSocket.removeListener('data', responseHandler);
-                
-                // 将连接返回空闲池
-                const currentSockets = idleLocalSockets.get(publicPort) || [];
-                currentSockets.push(localSocket);
-                idleLocalSockets.set(publicPort, currentSockets);
+    // 在发送窗口允许的范围内分片发送，窗口耗尽时等待对端归还
+    const flush = () => {
+        while (pendingWrite && sendWindow > 0) {
+            const size = Math.min(pendingWrite.chunk.length, sendWindow, MUX_MAX_DATA_SIZE);
+            sendFrame(FrameType.STREAM_DATA, pendingWrite.chunk.subarray(0, size));
+            sendWindow -= size;
+            pendingWrite.chunk = pendingWrite.chunk.subarray(size);
+            if (pendingWrite.chunk.length === 0) {
+                const callback = pendingWrite.callback;
+                pendingWrite = null;
+                callback();
             }
         }
+        
+        // 剩余数据全部发出后才通知对端关闭。STREAM_CLOSE 关闭整个流，对端不会再发送数据
+        if (!pendingWrite && pendingFinal) {
+            const callback = pendingFinal;
+            pendingFinal = null;
+            sendClose();
+            endRead();
+            callback();
+        }
     };
     
-    // 添加响应处理器
-    localSocket.on('data', responseHandler);
+    // 对端关闭后本端的读取结束即自动结束写入
+    const stream = new Duplex({
+        allowHalfOpen: false,
+        read() {
+            // 数据被消费后归还窗口，攒够四分之一窗口再发送以减少帧数
+            if (unacknowledged >= MUX_INITIAL_WINDOW / 4) {
+                const increment = Buffer.alloc(4);
+                increment.writeUInt32BE(unacknowledged, 0);
+                unacknowledged = 0;
+                sendFrame(FrameType.STREAM_WINDOW, increment);
+            }
+        },
+        write(chunk, encoding, callback) {
+            // 对端已关闭时丢弃写入的数据
+            if (remoteClosed) {
+                callback();
+                return;
+            }
+            pendingWrite = { chunk, callback };
+            flush();
+        },
+        final(callback) {
+            pendingFinal = callback;
+            flush();
+        },
+        // 只有出错或强制关闭时才会在发送 STREAM_CLOSE 前销毁，此时未发出的数据直接丢弃
+        destroy(error, callback) {
+            session.streams.delete(streamId);
+            sendClose();
+            pendingWrite = null;
+            pendingFinal = null;
+            callback(error);
+        }
+    });
+    stream.remoteAddress = session.socket.remoteAddress;
+    if (compressedSockets.has(session.socket)) {
+        compressedSockets.set(stream, compressedSockets.get(session.socket));
+    }
     
-    // 设置超时清理
-    setTimeout(() => {
-        if (activeConnections.has(connId)) {
-            activeConnections.delete(connId);
-            connectionStats.activeConnections--;
-            localSocket.removeListener('data', responseHandler);
-            
-            // 将连接返回空闲池
-            const currentSockets = idleLocalSockets.get(publicPort) || [];
-            currentSockets.push(localSocket);
-            idleLocalSockets.set(publicPort, currentSockets);
-            
-            broadcastLog('info', `UDP连接${connId}超时清理`);
+    session.streams.set(streamId, {
+        receive(data) {
+            if (readEnded) return;
+            unacknowledged += data.length;
+            stream.push(data);
+        },
+        grant(increment) {
+            sendWindow += increment;
+            flush();
+        },
+        // 对端关闭后已收到的数据仍可读完，等待发送窗口的数据不再发送
+        remoteClose() {
+            remoteClosed = true;
+            if (pendingWrite) {
+                const callback = pendingWrite.callback;
+                pendingWrite = null;
+                callback();
+            }
+            endRead();
+            flush();
         }
-    }, 30000); // 30秒超时
+    });
+    return stream;
 }
 
-// 删除端口映射
-function removePortMapping(localPort) {
-    try {
-        const publicPort = portMappings.get(localPort);
-        if (!publicPort) return false;
-        
-        // 关闭TCP服务器
-        const server = activeServers.get(publicPort);
-        if (server) {
-            server.close(() => {
-                broadcastLog('info', `TCP外部服务器 ${publicPort} 已关闭`);
-            });
-            activeServers.delete(publicPort);
+// 为外部连接在会话上打开一个流
+function openMuxStream(session, info) {
+    let streamId = session.nextStreamId;
+    while (streamId === 0 || session.streams.has(streamId)) {
+        streamId = (streamId + 1) >>> 0;
+    }
+    session.nextStreamId = (streamId + 1) >>> 0;
+    
+    const stream = createMuxStream(session, streamId);
+    session.socket.write(encodeFrame(FrameType.STREAM_OPEN, streamId, Buffer.from(JSON.stringify(describeExternalConnection(info)), 'utf8')));
+    return stream;
+}
+
+// 外部连接信息，客户端据此向本地服务发送PROXY协议头
+function describeExternalConnection(info) {
+    return {
+        remoteAddress: normalizeAddress(info.socket.remoteAddress),
+        remotePort: info.socket.remotePort,
+        localAddress: normalizeAddress(info.socket.localAddress),
+        localPort: info.socket.localPort,
+        publicPort: info.publicPort
+    };
+}
+
+// 关闭端口的所有多路复用隧道
+function closeMuxSessions(publicPort) {
+    (muxSessions.get(publicPort) || []).forEach(session => {
+        if (!session.socket.destroyed) {
+            session.socket.destroy();
         }
-        
-        // 关闭UDP服务器
-        const udpServer = activeUdpServers.get(publicPort);
-        if (udpServer) {
-            udpServer.close(() => {
-                broadcastLog('info', `UDP外部服务器 ${publicPort} 已关闭`);
-            });
-            activeUdpServers.delete(publicPort);
+    });
+    muxSessions.delete(publicPort);
+}
+
+// ==================== UDP隧道 ====================
+// 客户端以 udp 模式认证一条隧道连接，外部数据报逐个封装为 UDP_DATA 帧转发，由帧解码器处理粘包和拆包。
+// 每个外部地址对应一个会话ID，客户端为每个会话使用独立的本地UDP套接字，响应按会话ID发回原地址
+const UDP_SESSION_TIMEOUT = 60000; // 会话空闲超时
+const UDP_MAX_SESSIONS_PER_PORT = 4096;
+const UDP_MAX_SESSIONS_PER_IP = 64; // 同一IP在一个端口上的会话上限
+const UDP_TUNNEL_BUFFER_LIMIT = 1024 * 1024; // 隧道写缓冲区超过该值时丢弃数据报，UDP本身允许丢包
+const UDP_DROP_LOG_INTERVAL = 10000;
+const udpSessionsPerIp = new Map(); // "publicPort|ip" -> 会话数
+const udpDropStates = new Map(); // publicPort -> { lastLog, dropped }
+
+// 本机有IPv6地址时UDP监听使用双栈套接字，否则退回仅IPv4
+const IPV6_AVAILABLE = Object.values(os.networkInterfaces())
+    .some(addresses => (addresses || []).some(item => item.family === 'IPv6' || item.family === 6));
+
+// 创建同时接收IPv4和IPv6数据报的UDP套接字，IPv4来源地址形如 ::ffff:1.2.3.4
+function createDualStackUdpSocket() {
+    return dgram.createSocket(IPV6_AVAILABLE ? { type: 'udp6', ipv6Only: false } : 'udp4');
+}
+
+function getUdpSessionKey(publicPort, rinfo) {
+    return `${publicPort}|${rinfo.address}|${rinfo.port}`;
+}
+
+function countUdpSessions(publicPort) {
+    return (udpTunnels.get(publicPort) || []).reduce((sum, tunnel) => sum + tunnel.sessions.size, 0);
+}
+
+// 记录丢弃的外部数据报，同一端口每 UDP_DROP_LOG_INTERVAL 最多输出一条日志，避免伪造来源的洪水刷屏
+function reportUdpDrop(publicPort, reason) {
+    connectionStats.droppedDatagrams++;
+    const state = udpDropStates.get(publicPort) || { lastLog: 0, dropped: 0 };
+    udpDropStates.set(publicPort, state);
+    state.dropped++;
+    
+    const now = Date.now();
+    if (now - state.lastLog >= UDP_DROP_LOG_INTERVAL) {
+        broadcastLog('warning', `端口 ${publicPort} ${reason}，已丢弃 ${state.dropped} 个数据报`);
+        state.lastLog = now;
+        state.dropped = 0;
+    }
+}
+
+function sendUdpFrame(tunnel, type, sessionId, payload) {
+    if (!tunnel.closed && !tunnel.socket.destroyed) {
+        tunnel.socket.write(encodeFrame(type, sessionId, payload));
+    }
+}
+
+// 创建UDP隧道，接管已完成认证的隧道连接
+// nativeChannel 为客户端请求的原生UDP通道，未请求时为 null
+function createUdpTunnel(tunnelSocket, publicPort, clientId, nativeChannel = null) {
+    const tunnel = {
+        socket: tunnelSocket,
+        publicPort,
+        clientId,
+        sessions: new Map(), // sessionId -> UDP会话
+        nextSessionId: 1,
+        native: nativeChannel,
+        closed: false
+    };
+    
+    const decoder = createFrameDecoder((frame) => {
+        const session = tunnel.sessions.get(frame.id);
+        switch (frame.type) {
+            case FrameType.UDP_DATA:
+                if (session) sendUdpResponse(session, frame.payload);
+                break;
+            case FrameType.UDP_CLOSE:
+                if (session) closeUdpSession(session, false);
+                break;
+            default:
+                throw new Error(`意外的UDP隧道帧类型: ${frame.type}`);
         }
+    });
+    
+    const closeTunnel = () => {
+        if (tunnel.closed) return;
+        tunnel.closed = true;
         
-        // 清理连接
-        const queue = waitingQueue.get(publicPort) || [];
-        queue.forEach(conn => {
-            if (!conn.socket.destroyed) {
-                conn.socket.destroy();
-            }
-        });
-        
-        const sockets = idleLocalSockets.get(publicPort) || [];
-        sockets.forEach(socket => {
-            if (!socket.destroyed) {
-                socket.destroy();
-            }
-        });
-        
-        // 清理映射
-        portMappings.delete(localPort);
-        waitingQueue.delete(publicPort);
-        idleLocalSockets.delete(publicPort);
-        portProtocols.delete(publicPort);
+        const tunnels = (udpTunnels.get(publicPort) || []).filter(item => item !== tunnel);
+        if (tunnels.length > 0) {
+            udpTunnels.set(publicPort, tunnels);
+        } else {
+            udpTunnels.delete(publicPort);
+        }
         
-        connectionStats.activePorts = activeServers.size + activeUdpServers.size;
-        connectionStats.totalMappings = portMappings.size;
+        if (tunnel.native) {
+            nativeUdpChannels.delete(tunnel.native.id);
+        }
         
+        const sessionCount = tunnel.sessions.size;
+        tunnel.sessions.forEach(session => closeUdpSession(session, false));
+        broadcastLog('warning', `端口${publicPort}的UDP隧道已断开，关闭 ${sessionCount} 个会话`);
+        broadcastPortMappings();
         broadcastStats();
-        return true;
-    } catch (error) {
-        broadcastLog('error', `删除端口映射失败: ${error.message}`);
-        return false;
+    };
+    
+    tunnel.push = (data) => {
+        try {
+            decoder.push(data);
+        } catch (error) {
+            broadcastLog('error', `端口${publicPort}的UDP隧道协议错误: ${error.message}`);
+            tunnelSocket.destroy();
+        }
+    };
+    
+    tunnelSocket.on('data', tunnel.push);
+    tunnelSocket.on('close', closeTunnel);
+    tunnelSocket.on('error', (err) => {
+        broadcastLog('error', `端口${publicPort}的UDP隧道发生错误: ${err.code || err.message}`);
+        closeTunnel();
+    });
+    
+    const tunnels = udpTunnels.get(publicPort) || [];
+    tunnels.push(tunnel);
+    udpTunnels.set(publicPort, tunnels);
+    if (nativeChannel) {
+        nativeUdpChannels.set(nativeChannel.id, tunnel);
     }
+    broadcastLog('success', `客户端 ${clientId} 已建立端口${publicPort}的UDP隧道${nativeChannel ? '（请求原生UDP通道）' : ''}`);
+    broadcastPortMappings();
+    return tunnel;
 }
 
-// 广播状态更新到所有连接的客户端
-function broadcastStats() {
-    io.emit('stats-update', {
-        ...connectionStats,
-        activeConnectionsCount: activeConnections.size,
-        uptime: Date.now() - connectionStats.serverStartTime.getTime(),
-        activePorts: activeServers.size,
-        totalMappings: portMappings.size
-    });
+// 选择承载会话最少的UDP隧道
+function pickUdpTunnel(publicPort) {
+    const tunnels = (udpTunnels.get(publicPort) || []).filter(tunnel => !tunnel.closed && !tunnel.socket.destroyed);
+    if (tunnels.length === 0) return null;
+    return tunnels.reduce((best, tunnel) => (tunnel.sessions.size < best.sessions.size ? tunnel : best));
 }
 
-// 广播连接事件
-function broadcastConnectionEvent(event, data) {
-    io.emit('connection-event', { event, data, timestamp: new Date() });
+// 为新的外部地址打开UDP会话
+function openUdpSession(tunnel, rinfo, localPort) {
+    let sessionId = tunnel.nextSessionId;
+    while (sessionId === 0 || tunnel.sessions.has(sessionId)) {
+        sessionId = (sessionId + 1) >>> 0;
+    }
+    tunnel.nextSessionId = (sessionId + 1) >>> 0;
+    
+    const connId = ++connectionId;
+    connectionStats.totalConnections++;
+    
+    const session = {
+        id: sessionId,
+        key: getUdpSessionKey(tunnel.publicPort, rinfo),
+        tunnel,
+        address: rinfo.address,
+        port: rinfo.port,
+        connectionData: {
+            id: connId,
+            externalIP: rinfo.address,
+            externalPort: rinfo.port,
+            publicPort: tunnel.publicPort,
+            localPort: localPort,
+            startTime: new Date(),
+            bytesTransferred: 0,
+            isUDP: true
+        },
+        closed: false
+    };
+    session.idleTimer = setTimeout(() => {
+        broadcastLog('info', `UDP会话${connId}空闲超时，已关闭`);
+        closeUdpSession(session, true);
+    }, UDP_SESSION_TIMEOUT);
+    
+    tunnel.sessions.set(sessionId, session);
+    udpSessions.set(session.key, session);
+    session.ipKey = `${tunnel.publicPort}|${normalizeAddress(rinfo.address)}`;
+    udpSessionsPerIp.set(session.ipKey, (udpSessionsPerIp.get(session.ipKey) || 0) + 1);
+    activeConnections.set(connId, session.connectionData);
+    connectionClosers.set(connId, () => closeUdpSession(session, true));
+    connectionStats.activeConnections++;
+    
+    sendUdpFrame(tunnel, FrameType.UDP_OPEN, sessionId, Buffer.from(JSON.stringify({
+        remoteAddress: normalizeAddress(rinfo.address),
+        remotePort: rinfo.port,
+        publicPort: tunnel.publicPort
+    }), 'utf8'));
+    
+    broadcastLog('success', `UDP会话${connId}建立: ${formatEndpoint(rinfo.address, rinfo.port)} -> ${tunnel.publicPort} -> ${localPort}`);
+    broadcastConnectionEvent('established', session.connectionData);
+    return session;
 }
 
-// 广播日志消息
-function broadcastLog(level, message, data = {}) {
-    const logEntry = { level, message, data, timestamp: new Date() };
-    io.emit('log-message', logEntry);
+// 把客户端返回的数据报发回会话对应的外部地址
+function sendUdpResponse(session, payload) {
+    const udpServer = activeUdpServers.get(session.tunnel.publicPort);
+    if (!udpServer) return;
     
-    // 同时在服务器控制台输出
-    const timeStr = logEntry.timestamp.toLocaleTimeString();
-    console.log(`[${timeStr}] [${level.toUpperCase()}] ${message}`);
+    udpServer.send(payload, session.port, session.address, (err) => {
+        if (err) {
+            broadcastLog('error', `UDP响应发送失败: ${err.message}`);
+        }
+    });
+    session.connectionData.bytesTransferred += payload.length;
+    session.idleTimer.refresh();
+    connectionStats.totalDataTransferred += payload.length;
+    connectionStats.lastActivity = new Date();
 }
 
-// 处理外部连接
-function handleExternalConnection(externalSocket, publicPort, localPort, protocol = 'tcp') {
-    const connId = ++connectionId;
-    connectionStats.totalConnections++;
+// 关闭UDP会话，notify 为 true 时通知客户端释放本地套接字
+function closeUdpSession(session, notify) {
+    if (session.closed) return;
+    session.closed = true;
+    clearTimeout(session.idleTimer);
     
-    broadcastLog('info', `外部用户${connId}连接到端口${publicPort}: ${externalSocket.remoteAddress}`);
+    session.tunnel.sessions.delete(session.id);
+    udpSessions.delete(session.key);
+    const ipSessions = (udpSessionsPerIp.get(session.ipKey) || 1) - 1;
+    if (ipSessions > 0) {
+        udpSessionsPerIp.set(session.ipKey, ipSessions);
+    } else {
+        udpSessionsPerIp.delete(session.ipKey);
+    }
+    if (notify) {
+        sendUdpFrame(session.tunnel, FrameType.UDP_CLOSE, session.id);
+    }
     
-    const connectionInfo = {
-        id: connId,
-        socket: externalSocket,
-        timestamp: Date.now(),
-        publicPort: publicPort,
-        localPort: localPort
-    };
+    const connId = session.connectionData.id;
+    activeConnections.delete(connId);
+    connectionClosers.delete(connId);
+    connectionStats.activeConnections--;
+    releaseConnectionSlot(session.tunnel.publicPort, normalizeAddress(session.address));
+    broadcastConnectionEvent('closed', session.connectionData);
+}
+
+// 关闭端口的所有UDP隧道
+function closeUdpTunnels(publicPort) {
+    (udpTunnels.get(publicPort) || []).forEach(tunnel => {
+        if (!tunnel.socket.destroyed) {
+            tunnel.socket.destroy();
+        }
+    });
+    udpTunnels.delete(publicPort);
+    udpDropStates.delete(publicPort);
+}
+
+// ==================== 原生UDP通道 ====================
+// UDP隧道认证时可以请求原生通道，服务端在 AUTH_OK 中下发通道ID和密钥，之后数据报直接经UDP传输，避免TCP队头阻塞。
+// 会话的打开和关闭仍走TCP隧道。客户端定期发送保活包维持NAT映射，一段时间收不到对端数据包时双方都回退到TCP隧道
+// 数据报格式: [类型1B][通道ID 4B][序号4B][会话ID 4B][负载][HMAC-SHA256前8字节]
+const NativeUdpType = {
+    KEEPALIVE: 0x01,     // 客户端 -> 服务端: 保活，负载为发送方的接收数和丢包数
+    KEEPALIVE_ACK: 0x02, // 服务端 -> 客户端: 保活应答，负载同上
+    DATA: 0x10           // 双向: 会话数据报，序号用于统计丢包
+};
+const NATIVE_UDP_HEADER_SIZE = 13;
+const NATIVE_UDP_TAG_SIZE = 8;
+const NATIVE_UDP_TIMEOUT = 15000; // 超过该时间未收到对端数据包视为通道不可用
+const nativeUdpChannels = new Map(); // channelId -> UDP隧道
+let nativeUdpSocket = null;
+let nativeUdpReady = false;
+
+function encodeNativeUdpPacket(channel, type, seq, sessionId, payload = Buffer.alloc(0)) {
+    const header = Buffer.alloc(NATIVE_UDP_HEADER_SIZE);
+    header.writeUInt8(type, 0);
+    header.writeUInt32BE(channel.id, 1);
+    header.writeUInt32BE(seq, 5);
+    header.writeUInt32BE(sessionId, 9);
+    const body = Buffer.concat([header, payload]);
+    const tag = crypto.createHmac('sha256', channel.key).update(body).digest().subarray(0, NATIVE_UDP_TAG_SIZE);
+    return Buffer.concat([body, tag]);
+}
+
+// 解码并校验原生UDP数据报，getKey 按通道ID返回密钥，格式错误或校验失败时返回 null
+function decodeNativeUdpPacket(packet, getKey) {
+    if (packet.length < NATIVE_UDP_HEADER_SIZE + NATIVE_UDP_TAG_SIZE) return null;
     
-    const queue = waitingQueue.get(publicPort) || [];
-    queue.push(connectionInfo);
-    waitingQueue.set(publicPort, queue);
+    const channelId = packet.readUInt32BE(1);
+    const key = getKey(channelId);
+    if (!key) return null;
     
-    broadcastLog('info', `外部连接${connId}加入端口${publicPort}等待队列，当前队列长度: ${queue.length}`);
+    const bodyLength = packet.length - NATIVE_UDP_TAG_SIZE;
+    const expectedTag = crypto.createHmac('sha256', key).update(packet.subarray(0, bodyLength)).digest().subarray(0, NATIVE_UDP_TAG_SIZE);
+    if (!crypto.timingSafeEqual(expectedTag, packet.subarray(bodyLength))) return null;
     
-    tryMatchConnections(publicPort);
+    return {
+        type: packet.readUInt8(0),
+        channelId,
+        seq: packet.readUInt32BE(5),
+        sessionId: packet.readUInt32BE(9),
+        payload: packet.subarray(NATIVE_UDP_HEADER_SIZE, bodyLength)
+    };
+}
+
+// 按序号统计丢包：跳过的序号计为丢失。序号不大于已收到的最大序号的数据包可能是重放，返回false由调用方丢弃
+function recordNativeSequence(channel, seq) {
+    if (seq < channel.expectedSeq) return false;
+    channel.received++;
+    channel.lost += seq - channel.expectedSeq;
+    channel.expectedSeq = seq + 1;
+    return true;
+}
+
+// 保活包负载: [接收数4B][丢包数4B]，让对端得知其发出数据报的丢失情况
+function encodeLossReport(channel) {
+    const report = Buffer.alloc(8);
+    report.writeUInt32BE(channel.received >>> 0, 0);
+    report.writeUInt32BE(channel.lost >>> 0, 4);
+    return report;
+}
+
+function createNativeUdpChannel() {
+    let id;
+    do {
+        id = crypto.randomBytes(4).readUInt32BE(0);
+    } while (id === 0 || nativeUdpChannels.has(id));
     
-    const timeout = setTimeout(() => {
-        const currentQueue = waitingQueue.get(publicPort) || [];
-        const index = currentQueue.findIndex(conn => conn.id === connId);
-        if (index !== -1) {
-            currentQueue.splice(index, 1);
-            waitingQueue.set(publicPort, currentQueue);
-            broadcastLog('warning', `外部用户${connId}等待超时(60s)，连接被关闭`);
-            if (!externalSocket.destroyed) {
-                externalSocket.end();
+    return {
+        id,
+        key: crypto.randomBytes(32),
+        remote: null,          // 客户端最近一次保活的来源地址
+        lastSeen: 0,
+        lastKeepaliveSeq: 0,
+        sendSeq: 0,
+        expectedSeq: 0,
+        sent: 0,
+        received: 0,
+        lost: 0,
+        peerReceived: 0,
+        peerLost: 0
+    };
+}
+
+function isNativeUdpActive(channel) {
+    return Boolean(channel && channel.remote && Date.now() - channel.lastSeen < NATIVE_UDP_TIMEOUT);
+}
+
+function getNativeUdpInfo(publicPort) {
+    const tunnel = (udpTunnels.get(publicPort) || []).find(item => item.native);
+    if (!tunnel) return null;
+    
+    const channel = tunnel.native;
+    return {
+        active: isNativeUdpActive(channel),
+        sent: channel.sent,
+        received: channel.received,
+        lost: channel.lost,
+        peerReceived: channel.peerReceived,
+        peerLost: channel.peerLost
+    };
+}
+
+// 向客户端发送会话数据报，原生通道可用时走UDP，否则经TCP隧道；隧道写缓冲区已满时丢弃并返回false
+function sendTunnelDatagram(tunnel, sessionId, payload) {
+    const channel = tunnel.native;
+    if (isNativeUdpActive(channel)) {
+        const packet = encodeNativeUdpPacket(channel, NativeUdpType.DATA, channel.sendSeq, sessionId, payload);
+        channel.sendSeq = (channel.sendSeq + 1) >>> 0;
+        channel.sent++;
+        nativeUdpSocket.send(packet, channel.remote.port, channel.remote.address);
+        return true;
+    }
+    if (tunnel.socket.writableLength > UDP_TUNNEL_BUFFER_LIMIT) {
+        return false;
+    }
+    sendUdpFrame(tunnel, FrameType.UDP_DATA, sessionId, payload);
+    return true;
+}
+
+function handleNativeUdpPacket(packet, rinfo) {
+    const message = decodeNativeUdpPacket(packet, channelId => {
+        const tunnel = nativeUdpChannels.get(channelId);
+        return tunnel ? tunnel.native.key : null;
+    });
+    if (!message) return; // 无效或伪造的数据报直接丢弃
+    
+    const tunnel = nativeUdpChannels.get(message.channelId);
+    const channel = tunnel.native;
+    
+    switch (message.type) {
+        case NativeUdpType.KEEPALIVE: {
+            // 只有序号更新的保活包才能更新客户端地址，防止重放旧数据包劫持通道
+            if (message.seq <= channel.lastKeepaliveSeq) return;
+            channel.lastKeepaliveSeq = message.seq;
+            
+            const wasActive = isNativeUdpActive(channel);
+            channel.remote = { address: rinfo.address, port: rinfo.port };
+            channel.lastSeen = Date.now();
+            if (message.payload.length >= 8) {
+                channel.peerReceived = message.payload.readUInt32BE(0);
+                channel.peerLost = message.payload.readUInt32BE(4);
             }
+            
+            nativeUdpSocket.send(encodeNativeUdpPacket(channel, NativeUdpType.KEEPALIVE_ACK, message.seq, 0, encodeLossReport(channel)), rinfo.port, rinfo.address);
+            
+            if (!wasActive) {
+                broadcastLog('success', `端口${tunnel.publicPort}的原生UDP通道已连通: ${formatEndpoint(rinfo.address, rinfo.port)}`);
+                broadcastPortMappings();
+            }
+            break;
         }
-    }, 60000);
-    
-    externalSocket.on('close', () => {
-        clearTimeout(timeout);
-        const currentQueue = waitingQueue.get(publicPort) || [];
-        const index = currentQueue.findIndex(conn => conn.id === connId);
-        if (index !== -1) {
-            currentQueue.splice(index, 1);
-            waitingQueue.set(publicPort, currentQueue);
-            broadcastLog('info', `外部用户${connId}主动断开，已从队列移除`);
+        case NativeUdpType.DATA: {
+            // 数据包只接受来自保活确认过的客户端地址，序号不大于已收到的最大序号的视为重放（或乱序）丢弃
+            const remote = channel.remote;
+            if (!remote || rinfo.address !== remote.address || rinfo.port !== remote.port) return;
+            if (!recordNativeSequence(channel, message.seq)) return;
+            channel.lastSeen = Date.now();
+            const session = tunnel.sessions.get(message.sessionId);
+            if (session) sendUdpResponse(session, message.payload);
+            break;
         }
-        broadcastStats();
-    });
-    
-    externalSocket.on('error', (err) => {
-        clearTimeout(timeout);
-        const currentQueue = waitingQueue.get(publicPort) || [];
-        const index = currentQueue.findIndex(conn => conn.id === connId);
-        if (index !== -1) {
-            currentQueue.splice(index, 1);
-            waitingQueue.set(publicPort, currentQueue);
-            broadcastLog('error', `外部用户${connId}发生错误: ${err.code || err.message}`);
+        default:
+            break;
+    }
+}
+
+function startNativeUdpServer() {
+    if (!NATIVE_UDP_ENABLED) return;
+    // 通道密钥在 AUTH_OK 中下发，隧道未加密时密钥会以明文传输，因此只在启用TLS时提供原生通道
+    if (!TUNNEL_TLS) {
+        if (NATIVE_UDP_CONFIG.enabled === true) {
+            broadcastLog('warning', '原生UDP通道需要隧道启用TLS（tls.enabled），已停用，UDP映射将只使用TCP隧道');
         }
-        broadcastStats();
+        return;
+    }
+    
+    nativeUdpSocket = createDualStackUdpSocket();
+    nativeUdpSocket.on('message', handleNativeUdpPacket);
+    nativeUdpSocket.on('listening', () => {
+        nativeUdpReady = true;
+        broadcastLog('success', `原生UDP通道已启动，监听端口: ${NATIVE_UDP_PORT}`);
+    });
+    nativeUdpSocket.on('error', (err) => {
+        nativeUdpReady = false;
+        broadcastLog('error', `原生UDP通道端口 ${NATIVE_UDP_PORT} 发生错误: ${err.message}，UDP映射将只使用TCP隧道`);
     });
+    nativeUdpSocket.bind(NATIVE_UDP_PORT);
 }
 
-// 连接匹配函数（针对特定端口）
-function tryMatchConnections(publicPort) {
-    const queue = waitingQueue.get(publicPort) || [];
-    const sockets = idleLocalSockets.get(publicPort) || [];
-    
-    while (queue.length > 0 && sockets.length > 0) {
-        const connectionInfo = queue.shift();
-        const externalSocket = connectionInfo.socket;
-        const connId = connectionInfo.id;
-        
-        const localSocket = sockets.shift();
-        
-        if (externalSocket.destroyed) {
-            broadcastLog('warning', `代理${connId}的外部连接已断开，尝试下一个连接`);
-            continue;
-        }
-        
-        if (localSocket.destroyed) {
-            broadcastLog('warning', '内网连接已断开，尝试下一个连接');
-            continue;
+// ==================== 空闲连接心跳 ====================
+// 协商了 heartbeat 的客户端在连接池的空闲连接上定期发送 PING，服务端回复 PONG。
+// 超过 IDLE_HEARTBEAT_TIMEOUT 收不到心跳的空闲连接视为已被NAT等中间设备断开，主动关闭，由客户端补充新连接。
+// 匹配到外部连接时服务端先发送 STREAM_OPEN，客户端回送一个 STREAM_OPEN 确认后才开始转发，
+// 确认之前仍在途中的 PING 直接丢弃，不会混入转发数据
+const IDLE_HEARTBEAT_TIMEOUT = 60000;
+const HEARTBEAT_ACK_TIMEOUT = 10000;
+
+// 记录客户端在 PING 中上报的RTT
+function recordHeartbeat(publicPort, frame) {
+    const heartbeat = portHeartbeats.get(publicPort) || { rtt: null, lastSeen: null };
+    heartbeat.lastSeen = new Date();
+    if (frame.payload.length > 0) {
+        try {
+            const { rtt } = parseJsonPayload(frame);
+            if (Number.isFinite(rtt) && rtt >= 0) {
+                heartbeat.rtt = rtt;
+            }
+        } catch (error) {
+            // RTT只用于展示，格式错误时忽略
         }
-        
-        establishConnection(externalSocket, localSocket, connId, publicPort, connectionInfo.localPort);
     }
+    portHeartbeats.set(publicPort, heartbeat);
+}
+
+// 将等待确认期间失败的外部连接放回队首，重新匹配
+function requeueExternalConnection(connectionInfo) {
+    if (connectionInfo.socket.destroyed) return;
     
-    waitingQueue.set(publicPort, queue);
-    idleLocalSockets.set(publicPort, sockets);
-    broadcastStats();
+    const queue = waitingQueue.get(connectionInfo.publicPort) || [];
+    queue.unshift(connectionInfo);
+    waitingQueue.set(connectionInfo.publicPort, queue);
+    tryMatchConnections(connectionInfo.publicPort);
 }
 
-// 建立连接函数（更新版）
-function establishConnection(externalSocket, localSocket, connId, publicPort, localPort) {
-    broadcastLog('success', `代理${connId}建立连接映射: ${publicPort} -> ${localPort}`, {
-        connId,
-        externalIP: externalSocket.remoteAddress,
-        localIP: localSocket.remoteAddress,
-        publicPort: publicPort,
-        localPort: localPort
-    });
+// 接管已加入空闲池的连接，处理心跳直到匹配到外部连接并收到客户端确认
+function watchIdleHeartbeat(localSocket, publicPort) {
+    let pendingMatch = null; // 已发送 STREAM_OPEN、等待确认的外部连接
+    let ackTimer = null;
     
-    // 记录活跃连接
-    const connectionData = {
-        id: connId,
-        externalIP: externalSocket.remoteAddress,
-        localIP: localSocket.remoteAddress,
-        publicPort: publicPort,
-        localPort: localPort,
-        startTime: new Date(),
-        bytesTransferred: 0
+    const stop = () => {
+        idleHeartbeats.delete(localSocket);
+        localSocket.removeListener('data', onData);
+        localSocket.removeListener('close', onClose);
+        localSocket.removeListener('timeout', onTimeout);
+        localSocket.setTimeout(0);
+        clearTimeout(ackTimer);
     };
-    activeConnections.set(connId, connectionData);
-    connectionStats.activeConnections++;
-    
-    broadcastConnectionEvent('established', connectionData);
     
-    let isConnectionActive = true;
+    const abortMatch = (reason) => {
+        const connectionInfo = pendingMatch;
+        stop();
+        broadcastLog('warning', `端口${publicPort}的空闲连接${reason}，外部用户${connectionInfo.id}重新排队`);
+        if (!localSocket.destroyed) {
+            localSocket.destroy();
+        }
+        requeueExternalConnection(connectionInfo);
+    };
     
-    const createDataForwarder = (sourceSocket, targetSocket, direction) => {
-        return (data) => {
-            if (isConnectionActive && !targetSocket.destroyed) {
-                targetSocket.write(data);
-                
-                // 更新数据传输统计
-                const connection = activeConnections.get(connId);
-                if (connection) {
-                    connection.bytesTransferred += data.length;
-                    connectionStats.totalDataTransferred += data.length;
-                    connectionStats.lastActivity = new Date();
-                }
+    const decoder = createFrameDecoder((frame) => {
+        if (frame.type === FrameType.PING) {
+            // 已发送 STREAM_OPEN 后不再应答，此后发往客户端的是转发数据
+            if (!pendingMatch) {
+                localSocket.write(encodeFrame(FrameType.PONG, frame.id));
             }
-        };
+            recordHeartbeat(publicPort, frame);
+            return true;
+        }
+        if (frame.type === FrameType.STREAM_OPEN && pendingMatch) {
+            const connectionInfo = pendingMatch;
+            stop();
+            if (connectionInfo.socket.destroyed) {
+                localSocket.destroy();
+                return false;
+            }
+            establishConnection(connectionInfo.socket, localSocket, connectionInfo.id, publicPort, connectionInfo.localPort, connectionInfo.username);
+            
+            // 确认之后的数据已属于转发数据
+            const remainder = decoder.takeRemainder();
+            if (remainder.length > 0) {
+                localSocket.emit('data', remainder);
+            }
+            return false;
+        }
+        throw new Error(`意外的空闲连接帧类型: ${frame.type}`);
+    });
+    
+    const onData = (data) => {
+        try {
+            decoder.push(data);
+        } catch (error) {
+            broadcastLog('error', `端口${publicPort}的空闲连接协议错误: ${error.message}`);
+            localSocket.destroy();
+        }
     };
     
-    const forwardExternalToLocal = createDataForwarder(externalSocket, localSocket, '外部→内网');
-    const forwardLocalToExternal = createDataForwarder(localSocket, externalSocket, '内网→外部');
+    const onClose = () => {
+        if (pendingMatch) {
+            abortMatch('在确认前断开');
+        } else {
+            stop();
+        }
+    };
     
-    externalSocket.on('data', forwardExternalToLocal);
-    localSocket.on('data', forwardLocalToExternal);
+    const onTimeout = () => {
+        broadcastLog('warning', `端口${publicPort}的空闲连接 ${IDLE_HEARTBEAT_TIMEOUT / 1000} 秒内没有心跳，判定已断开并关闭`);
+        localSocket.destroy();
+    };
     
-    const cleanupConnection = () => {
-        if (!isConnectionActive) return;
-        isConnectionActive = false;
-        
-        broadcastLog('info', `代理${connId}连接结束，开始清理资源`);
-        
-        // 更新统计信息
-        const connection = activeConnections.get(connId);
-        if (connection) {
-            connectionStats.activeConnections--;
-            broadcastConnectionEvent('closed', {
-                ...connection,
-                endTime: new Date(),
-                duration: Date.now() - connection.startTime.getTime()
-            });
-            activeConnections.delete(connId);
+    localSocket.on('data', onData);
+    localSocket.on('close', onClose);
+    localSocket.on('timeout', onTimeout);
+    localSocket.setTimeout(IDLE_HEARTBEAT_TIMEOUT);
+    
+    const heartbeat = {
+        push: onData,
+        match(connectionInfo) {
+            pendingMatch = connectionInfo;
+            localSocket.write(encodeJsonFrame(FrameType.STREAM_OPEN, describeExternalConnection(connectionInfo)));
+            ackTimer = setTimeout(() => abortMatch(`${HEARTBEAT_ACK_TIMEOUT / 1000} 秒内未确认`), HEARTBEAT_ACK_TIMEOUT);
         }
-        
-        externalSocket.removeListener('data', forwardExternalToLocal);
-        localSocket.removeListener('data', forwardLocalToExternal);
-        
-        if (!externalSocket.destroyed) {
-            externalSocket.destroy();
+    };
+    idleHeartbeats.set(localSocket, heartbeat);
+    return heartbeat;
+}
+
+// ==================== 控制通道 ====================
+// 客户端以 control 模式认证后，该连接不转发数据，只用于服务端通知客户端补充空闲连接：
+// 外部连接找不到空闲连接时发送 DEMAND 说明等待数，客户端随即建立相应数量的连接，
+// 因此空闲池可以缩小到零，建立连接的延迟也不再取决于客户端的检查间隔。
+// 客户端在控制通道上同样定期发送 PING，服务端应答时若仍有等待的外部连接会重发 DEMAND，
+// 以弥补客户端新建连接失败的情况。每个端口只保留最新的一条控制通道
+
+// 接管已完成认证的控制通道
+function createControlChannel(tunnelSocket, publicPort, clientId) {
+    const previous = controlChannels.get(publicPort);
+    const channel = { socket: tunnelSocket, clientId };
+    controlChannels.set(publicPort, channel);
+    if (previous && !previous.socket.destroyed) {
+        previous.socket.destroy();
+    }
+    
+    const decoder = createFrameDecoder((frame) => {
+        if (frame.type !== FrameType.PING) {
+            throw new Error(`意外的控制通道帧类型: ${frame.type}`);
         }
-        if (!localSocket.destroyed) {
-            localSocket.destroy();
+        tunnelSocket.write(encodeFrame(FrameType.PONG, frame.id));
+        recordHeartbeat(publicPort, frame);
+        requestIdleConnections(publicPort);
+    });
+    
+    channel.push = (data) => {
+        try {
+            decoder.push(data);
+        } catch (error) {
+            broadcastLog('error', `端口${publicPort}的控制通道协议错误: ${error.message}`);
+            tunnelSocket.destroy();
         }
-        
-        broadcastStats();
     };
     
-    externalSocket.on('close', () => {
-        broadcastLog('info', `外部用户${connId}连接已关闭`);
-        cleanupConnection();
+    tunnelSocket.on('data', channel.push);
+    tunnelSocket.on('timeout', () => {
+        broadcastLog('warning', `端口${publicPort}的控制通道 ${IDLE_HEARTBEAT_TIMEOUT / 1000} 秒内没有心跳，判定已断开并关闭`);
+        tunnelSocket.destroy();
     });
-    
-    externalSocket.on('error', (err) => {
-        broadcastLog('error', `外部用户${connId}连接发生错误: ${err.code || err.message}`);
-        cleanupConnection();
+    tunnelSocket.on('error', (err) => {
+        broadcastLog('error', `端口${publicPort}的控制通道发生错误: ${err.code || err.message}`);
     });
-    
-    localSocket.on('close', () => {
-        broadcastLog('info', `内网客户端${connId}连接已关闭`);
-        cleanupConnection();
+    tunnelSocket.on('close', () => {
+        if (controlChannels.get(publicPort) !== channel) return;
+        controlChannels.delete(publicPort);
+        broadcastLog('warning', `端口${publicPort}的控制通道已断开，客户端将回退到定时补充空闲连接`);
+        broadcastPortMappings();
     });
+    tunnelSocket.setTimeout(IDLE_HEARTBEAT_TIMEOUT);
     
-    localSocket.on('error', (err) => {
-        broadcastLog('error', `内网客户端${connId}连接发生错误: ${err.code || err.message}`);
-        cleanupConnection();
-    });
+    broadcastLog('success', `客户端 ${clientId} 已建立端口${publicPort}的控制通道`);
+    broadcastPortMappings();
     
-    broadcastStats();
+    // 控制通道建立前已在等待的外部连接
+    requestIdleConnections(publicPort);
+    return channel;
+}
+
+// 通过控制通道告知客户端当前等待空闲连接的外部连接数
+function requestIdleConnections(publicPort) {
+    const channel = controlChannels.get(publicPort);
+    const waiting = (waitingQueue.get(publicPort) || []).filter(info => !info.socket.destroyed).length;
+    if (!channel || channel.socket.destroyed || waiting === 0) return;
+    
+    channel.socket.write(encodeJsonFrame(FrameType.DEMAND, { port: publicPort, waiting }));
+}
+
+// 关闭端口的控制通道
+function closeControlChannel(publicPort) {
+    const channel = controlChannels.get(publicPort);
+    controlChannels.delete(publicPort);
+    if (channel && !channel.socket.destroyed) {
+        channel.socket.destroy();
+    }
+}
+
+// 创建隧道服务器，启用TLS时连接在握手完成后才交给处理函数
+function createTunnelServer(handler) {
+    if (!TUNNEL_TLS) {
+        return net.createServer(handler);
+    }
+    
+    const tunnelServer = tls.createServer(TLS_OPTIONS, handler);
+    tunnelServer.on('tlsClientError', (err, socket) => {
+        broadcastLog('warning', `内网客户端 ${socket.remoteAddress} TLS握手失败: ${err.code || err.message}`);
+    });
+    return tunnelServer;
 }
 
 // 创建内网客户端连接服务器
-const localProxyServer = net.createServer((localSocket) => {
-    broadcastLog('success', `内网客户端新连接建立: ${localSocket.remoteAddress}`);
+const localProxyServer = createTunnelServer((localSocket) => {
+    const remoteAddress = localSocket.remoteAddress;
+    broadcastLog('info', `内网客户端新连接: ${remoteAddress}，等待认证`);
+    
+    // 发送认证挑战，客户端需用共享密钥对其签名
+    const nonce = crypto.randomBytes(16).toString('hex');
+    localSocket.write(encodeJsonFrame(FrameType.CHALLENGE, { nonce }));
     
-    // 等待客户端发送端口映射信息
-    let headerReceived = false;
+    let handshakeFinished = false;
     let targetPort = null;
+    let tunnelMode = null; // 'mux' | 'udp' | 'control'，普通连接为 null
+    let nativeChannel = null;
+    let negotiated = null; // HELLO 协商结果，旧版客户端为 null
+    
+    const rejectClient = (reason) => {
+        handshakeFinished = true;
+        connectionStats.authFailures++;
+        broadcastLog('warning', `内网客户端 ${remoteAddress} 认证失败，连接被拒绝: ${reason}`);
+        if (!localSocket.destroyed) {
+            localSocket.end(encodeJsonFrame(FrameType.AUTH_FAILED, { message: reason }));
+        }
+        broadcastStats();
+    };
+    
+    const rejectHello = (code, reason) => {
+        handshakeFinished = true;
+        connectionStats.authFailures++;
+        broadcastLog('warning', `内网客户端 ${remoteAddress} 协议协商失败，连接被拒绝: ${reason}`);
+        if (!localSocket.destroyed) {
+            localSocket.end(encodeJsonFrame(FrameType.REJECT, {
+                code,
+                message: reason,
+                minVersion: MIN_PROTOCOL_VERSION,
+                maxVersion: PROTOCOL_VERSION
+            }));
+        }
+        broadcastStats();
+    };
     
-    localSocket.on('data', (data) => {
-        if (!headerReceived && data.length >= 4) {
+    const decoder = createFrameDecoder((frame) => {
+        if (frame.type === FrameType.HELLO && !negotiated) {
+            let hello;
             try {
-                // 读取4字节的端口号（大端字节序）
-                targetPort = data.readUInt32BE(0);
-                headerReceived = true;
-                
-                broadcastLog('info', `内网客户端指定目标端口: ${targetPort}`);
-                
-                // 检查端口映射是否存在
-                if (!activeServers.has(targetPort)) {
-                    broadcastLog('warning', `端口${targetPort}没有对应的外部服务器，连接将被关闭`);
-                    localSocket.destroy();
-                    return;
-                }
-                
-                // 将连接添加到对应端口的空闲池
-                const sockets = idleLocalSockets.get(targetPort) || [];
-                sockets.push(localSocket);
-                idleLocalSockets.set(targetPort, sockets);
-                
-                broadcastLog('info', `内网连接加入端口${targetPort}空闲池，当前空闲连接数: ${sockets.length}`);
-                
-                // 尝试匹配连接
-                tryMatchConnections(targetPort);
-                
-                return;
+                hello = parseJsonPayload(frame);
             } catch (error) {
-                broadcastLog('error', `解析客户端端口信息失败: ${error.message}`);
-                localSocket.destroy();
-                return;
+                rejectHello('BAD_HELLO', 'HELLO消息格式错误');
+                return false;
             }
-        } else if (!headerReceived) {
-            // 如果数据长度不足4字节，等待更多数据
-            return;
+            
+            const result = negotiateProtocol(hello);
+            if (!result.success) {
+                rejectHello(result.code, result.message);
+                return false;
+            }
+            
+            negotiated = { ...result, clientId: hello.clientId };
+            localSocket.write(encodeJsonFrame(FrameType.WELCOME, { version: result.version, features: result.features }));
+            return true;
+        }
+        
+        if (frame.type !== FrameType.AUTH) {
+            rejectClient(`意外的握手帧类型: ${frame.type}`);
+            return false;
+        }
+        
+        let auth;
+        try {
+            auth = parseJsonPayload(frame);
+        } catch (error) {
+            rejectClient('认证信息格式错误');
+            return false;
+        }
+        
+        const result = verifyClientAuth(auth, nonce);
+        if (!result.success) {
+            rejectClient(result.message);
+            return false;
+        }
+        
+        if (negotiated && negotiated.clientId !== auth.clientId) {
+            rejectClient('认证的客户端ID与HELLO中的不一致');
+            return false;
+        }
+        
+        // 隧道模式和可选功能必须已在 HELLO 中协商；旧版客户端按普通连接处理，
+        // 其 AUTH_OK 中没有模式标记，客户端会自行回退到连接池
+        const features = negotiated ? negotiated.features : [];
+        const mode = ['mux', 'udp', 'control'].includes(auth.mode) && features.includes(auth.mode) ? auth.mode : null;
+        if (negotiated && auth.mode && !mode) {
+            rejectClient(`未协商 ${auth.mode} 功能，请升级客户端`);
+            return false;
+        }
+        
+        targetPort = parseInt(auth.port);
+        
+        // 检查端口映射是否存在
+        if (!activeServers.has(targetPort) && !activeUdpServers.has(targetPort)) {
+            handshakeFinished = true;
+            broadcastLog('warning', `端口${targetPort}没有对应的外部服务器，连接将被关闭`);
+            localSocket.end(encodeJsonFrame(FrameType.AUTH_FAILED, { message: `端口${targetPort}没有对应的映射` }));
+            return false;
+        }
+        
+        // 只允许端口的分配者接入该端口
+        if (portOwners.get(targetPort) !== result.client.id) {
+            rejectClient(`端口${targetPort}不属于客户端 ${result.client.id}`);
+            return false;
         }
         
-        // 如果已经建立连接，这里不应该收到数据，降低日志级别避免刷屏
-        // broadcastLog('warning', '未建立映射的内网连接收到数据，忽略');
+        handshakeFinished = true;
+        
+        // 压缩作用于普通连接和多路复用隧道的流，UDP隧道逐个转发数据报，控制通道不转发数据，都不压缩
+        const compression = (mode === null || mode === 'mux') && features.includes(ProtocolFeature.COMPRESSION) && COMPRESSION_ALGORITHMS.includes(auth.compression)
+            ? auth.compression
+            : null;
+        if (compression) {
+            compressedSockets.set(localSocket, compression);
+        }
+        
+        // mux/udp/control 模式的连接分别作为多路复用隧道、UDP隧道和控制通道，不进入空闲池
+        if (mode === 'mux') {
+            tunnelMode = 'mux';
+            localSocket.write(encodeJsonFrame(FrameType.AUTH_OK, {
+                port: targetPort,
+                mux: true,
+                window: MUX_INITIAL_WINDOW,
+                ...(compression ? { compression } : {})
+            }));
+            return false;
+        }
+        if (mode === 'udp') {
+            tunnelMode = 'udp';
+            nativeChannel = auth.nativeUdp === true && features.includes(ProtocolFeature.NATIVE_UDP) && nativeUdpReady
+                ? createNativeUdpChannel()
+                : null;
+            localSocket.write(encodeJsonFrame(FrameType.AUTH_OK, {
+                port: targetPort,
+                udp: true,
+                ...(nativeChannel ? {
+                    nativeUdp: { port: NATIVE_UDP_PORT, channel: nativeChannel.id, key: nativeChannel.key.toString('base64') }
+                } : {})
+            }));
+            return false;
+        }
+        if (mode === 'control') {
+            tunnelMode = 'control';
+            localSocket.write(encodeJsonFrame(FrameType.AUTH_OK, {
+                port: targetPort,
+                control: true,
+                heartbeatTimeout: IDLE_HEARTBEAT_TIMEOUT
+            }));
+            return false;
+        }
+        
+        // 请求连接信息的连接在匹配到外部连接时先收到一个 STREAM_OPEN 帧，启用心跳的连接总会收到
+        const connectionInfo = auth.connectionInfo === true && features.includes(ProtocolFeature.CONNECTION_INFO);
+        const heartbeat = auth.heartbeat === true && features.includes(ProtocolFeature.HEARTBEAT);
+        if (connectionInfo) {
+            connectionInfoSockets.add(localSocket);
+        }
+        localSocket.write(encodeJsonFrame(FrameType.AUTH_OK, {
+            port: targetPort,
+            ...(connectionInfo ? { connectionInfo: true } : {}),
+            ...(heartbeat ? { heartbeat: true, heartbeatTimeout: IDLE_HEARTBEAT_TIMEOUT } : {}),
+            ...(compression ? { compression } : {})
+        }));
+        if (heartbeat) {
+            watchIdleHeartbeat(localSocket, targetPort);
+        }
+        
+        broadcastLog('info', `内网客户端 ${result.client.id} 认证成功，指定目标端口: ${targetPort}`);
+        
+        // 将连接添加到对应端口的空闲池
+        const sockets = idleLocalSockets.get(targetPort) || [];
+        sockets.push(localSocket);
+        idleLocalSockets.set(targetPort, sockets);
+        
+        broadcastLog('info', `内网连接加入端口${targetPort}空闲池，当前空闲连接数: ${sockets.length}`);
+        
+        // 尝试匹配连接
+        tryMatchConnections(targetPort);
+        return false;
     });
     
+    const onHandshakeData = (data) => {
+        try {
+            decoder.push(data);
+        } catch (error) {
+            rejectClient(error.message);
+        }
+        
+        // 握手结束后不再解析，后续数据由连接映射、多路复用会话、UDP隧道或控制通道处理
+        if (handshakeFinished) {
+            localSocket.removeListener('data', onHandshakeData);
+            if (tunnelMode === 'mux' && !localSocket.destroyed) {
+                const session = createMuxSession(localSocket, targetPort, portOwners.get(targetPort));
+                session.push(decoder.takeRemainder());
+                tryMatchConnections(targetPort);
+            } else if (tunnelMode === 'udp' && !localSocket.destroyed) {
+                const tunnel = createUdpTunnel(localSocket, targetPort, portOwners.get(targetPort), nativeChannel);
+                tunnel.push(decoder.takeRemainder());
+            } else if (tunnelMode === 'control' && !localSocket.destroyed) {
+                const channel = createControlChannel(localSocket, targetPort, portOwners.get(targetPort));
+                channel.push(decoder.takeRemainder());
+            } else if (idleHeartbeats.has(localSocket)) {
+                idleHeartbeats.get(localSocket).push(decoder.takeRemainder());
+            }
+        }
+    };
+    
+    localSocket.on('data', onHandshakeData);
+    
     const onLocalClose = () => {
         if (targetPort) {
             const sockets = idleLocalSockets.get(targetPort) || [];
@@ -809,10 +4222,11 @@ const localProxyServer = net.createServer((localSocket) => {
     localSocket.on('close', onLocalClose);
     localSocket.on('error', onLocalError);
     
-    // 超时处理：如果10秒内没有收到端口信息，关闭连接
+    // 超时处理：如果10秒内没有完成认证，关闭连接
     const timeout = setTimeout(() => {
-        if (!headerReceived) {
-            broadcastLog('warning', '内网客户端10秒内未发送端口信息，连接被关闭');
+        if (!handshakeFinished) {
+            connectionStats.authFailures++;
+            broadcastLog('warning', `内网客户端 ${remoteAddress} 10秒内未完成认证，连接被关闭`);
             localSocket.destroy();
         }
     }, 10000);
@@ -823,13 +4237,15 @@ const localProxyServer = net.createServer((localSocket) => {
 
 // 启动代理服务器
 localProxyServer.listen(LOCAL_PROXY_PORT, () => {
-    broadcastLog('success', `内网代理服务器已启动，监听端口: ${LOCAL_PROXY_PORT}`);
+    broadcastLog('success', `内网代理服务器已启动，监听端口: ${LOCAL_PROXY_PORT}${TUNNEL_TLS ? ' (TLS)' : ''}`);
 });
+startNativeUdpServer();
+startMinecraftRoutingServer();
 
 // 启动Web服务器
 server.listen(WEB_PORT, () => {
     console.log(`\n🚀 代理服务器Web管理界面已启动!`);
-    console.log(`📊 管理界面: http://localhost:${WEB_PORT}`);
+    console.log(`📊 管理界面: ${WEB_TLS ? 'https' : 'http'}://localhost:${WEB_PORT}`);
     console.log(`🔗 内网代理端口: ${LOCAL_PROXY_PORT}`);
     console.log(`⚙️ 配置文件: ${CONFIG_FILE}\n`);
     
@@ -845,6 +4261,17 @@ function loadDefaultMappings() {
     broadcastLog('info', '代理服务器已就绪，等待客户端连接...');
 }
 
+// WebSocket握手校验：只允许已登录的管理员建立实时连接
+io.use((socket, next) => {
+    const session = getSession(socket.request.headers.cookie);
+    if (!session) {
+        return next(new Error('未登录或会话已过期'));
+    }
+    socket.data.sessionId = session.id;
+    socket.data.username = session.username;
+    next();
+});
+
 // WebSocket连接处理
 io.on('connection', (socket) => {
     console.log('Web客户端已连接');
@@ -852,6 +4279,9 @@ io.on('connection', (socket) => {
     // 发送当前统计信息
     socket.emit('stats-update', {
         ...connectionStats,
+        rejectionsByPort: Object.fromEntries(portRejections),
+        bandwidthByPort: getBandwidthByPort(),
+        activeBans: getActiveBans().length,
         waitingQueueLength: Array.from(waitingQueue.values()).reduce((sum, queue) => sum + queue.length, 0),
         idleConnectionsCount: Array.from(idleLocalSockets.values()).reduce((sum, sockets) => sum + sockets.length, 0),
         activeConnectionsCount: activeConnections.size,
@@ -863,12 +4293,11 @@ io.on('connection', (socket) => {
     // 发送当前活跃连接列表
     socket.emit('active-connections', Array.from(activeConnections.values()));
     
+    // 发送封禁列表
+    socket.emit('bans-update', getActiveBans());
+    
     // 发送端口映射信息
-    socket.emit('port-mappings', Array.from(portMappings.entries()).map(([localPort, publicPort]) => ({
-        localPort,
-        publicPort,
-        active: activeServers.has(publicPort)
-    })));
+    socket.emit('port-mappings', getPortMappingsInfo());
     
     socket.on('disconnect', () => {
         console.log('Web客户端已断开');
@@ -877,6 +4306,14 @@ io.on('connection', (socket) => {
 
 // 定期广播统计信息
 setInterval(broadcastStats, 5000);
+setInterval(broadcastActiveConnections, 5000);
+
+// 定期清理过期会话和登录失败记录
+setInterval(cleanupSessions, 60000);
+
+// 定期清理限流状态和到期的封禁
+setInterval(cleanupRateLimitState, 60000);
+setInterval(cleanupBans, 60000);
 
 // 全局异常处理
 process.on('uncaughtException', (err) => {
@@ -899,6 +4336,10 @@ process.on('SIGINT', () => {
         });
     });
     
+    if (minecraftRoutingServer) {
+        minecraftRoutingServer.close();
+    }
+    
     // 清理所有等待队列
     waitingQueue.forEach((queue) => {
         queue.forEach((connectionInfo) => {